@@ -0,0 +1,110 @@
+// Vercel Serverless Function: /api/accept-invitation
+// GET  ?invite_token=...                  -> who the invitation is for, and whether they
+//                                            already have a login
+// POST { invite_token, password, name? }  -> join the account and get a session. New users
+//                                            choose their password here; existing users
+//                                            confirm theirs.
+
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { verifyPassword, hashPassword, MIN_PASSWORD_LENGTH } = require('../lib/passwords');
+const { issueSession } = require('../lib/sessions');
+const { entitlementsFor } = require('../lib/entitlements');
+const { permissionsFor } = require('../lib/roles');
+const { createUser, addMember, findInvitation, invitationStatus } = require('../lib/team');
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = req.method === 'GET' ? req.query.invite_token : req.body?.invite_token;
+    if (!token) {
+      return res.status(400).json({ error: 'invite_token is required' });
+    }
+
+    const store = getStore();
+    const invitation = await findInvitation(store, token);
+    if (!invitation) {
+      return res.status(400).json({ error: 'Invalid invitation link', code: 'invalid_invitation' });
+    }
+
+    const status = invitationStatus(invitation);
+    if (status !== 'pending') {
+      const messages = {
+        accepted: 'This invitation has already been accepted',
+        revoked: 'This invitation was withdrawn',
+        expired: 'This invitation has expired; ask for a new one',
+      };
+      return res.status(400).json({ error: messages[status], code: `invitation_${status}` });
+    }
+
+    const customer = await store.customers.get(invitation.customer_id);
+    if (!customer) {
+      return res.status(400).json({ error: 'Invalid invitation link', code: 'invalid_invitation' });
+    }
+
+    let user = await store.users.findByEmail(invitation.email);
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        email: invitation.email,
+        company_name: customer.company_name,
+        role: invitation.role,
+        existing_user: Boolean(user),
+        expires_at: invitation.expires_at,
+      });
+    }
+
+    const password = String(req.body.password ?? '');
+    if (user) {
+      if (!verifyPassword(password, user.password_hash)) {
+        return res.status(401).json({ error: 'Incorrect password', code: 'invalid_credentials' });
+      }
+    } else {
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+      user = await createUser(store, {
+        email: invitation.email,
+        name: String(req.body.name ?? '').trim(),
+        password_hash: hashPassword(password),
+      });
+    }
+
+    const membership = await store.memberships.getActive(customer.customer_id, user.user_id)
+      || await addMember(store, customer.customer_id, user.user_id, invitation.role, invitation.invited_by);
+    await store.invitations.update(invitation.invitation_id, { accepted_at: new Date().toISOString() });
+
+    const { session, expires_at } = await issueSession(store, user, membership, customer);
+
+    console.log(`[INFO] ${user.user_id} joined customer ${customer.customer_id} as ${membership.role}`);
+
+    return res.status(200).json({
+      success: true,
+      session,
+      expires_at,
+      customer_id: customer.customer_id,
+      user_id: user.user_id,
+      role: membership.role,
+      permissions: permissionsFor(membership.role),
+      plan: customer.plan,
+      entitlements: entitlementsFor(customer.plan),
+    });
+
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    return sendError(res, error, 'Failed to accept invitation');
+  }
+};
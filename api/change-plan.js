@@ -0,0 +1,96 @@
+// Vercel Serverless Function: /api/change-plan
+// POST { plan: 'free' | 'essentials' | 'professional' } (see lib/entitlements.js for the plans)
+// Moves a paying customer between paid plans straight away, with the payment provider
+// prorating the difference. Moving to free cancels the subscription at the end of the
+// period, like /api/cancel-subscription. Customers without a paid subscription choose a
+// paid plan through checkout instead (409 checkout_required).
+
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { getPayments } = require('../lib/payments');
+const { entitlementsFor } = require('../lib/entitlements');
+const { requirePermission } = require('../lib/roles');
+const { checkPeriod, subscriptionFields, currentPlan, checkPlanChange } = require('../lib/billing');
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const plan = String(req.body?.plan ?? '').trim().toLowerCase();
+    if (!plan) {
+      return res.status(400).json({ error: 'plan is required' });
+    }
+
+    const store = getStore();
+    const { customer, role } = await authenticate(req, store);
+    requirePermission(role, 'manage_billing');
+    const customerId = customer.customer_id;
+
+    const subscription = await store.subscriptions.getForCustomer(customerId);
+    const previousPlan = currentPlan(customer, subscription);
+    checkPlanChange(customer, subscription, plan);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found for this customer' });
+    }
+
+    const payments = getPayments();
+    const providerSubscription = await payments.getSubscription(subscription);
+    checkPeriod(providerSubscription);
+
+    if (plan === 'free') {
+      // The plan itself switches when the period runs out
+      const fields = subscriptionFields(providerSubscription.cancel_at_period_end
+        ? providerSubscription
+        : await payments.cancelAtPeriodEnd(subscription));
+      const updated = await store.subscriptions.update(customerId, fields);
+
+      console.log(`[SUCCESS] Customer ${customerId} moves from ${previousPlan} to free on ${fields.cancelled_date}`);
+
+      return res.status(200).json({
+        success: true,
+        message: `Your plan changes to free on ${fields.cancelled_date}`,
+        plan: previousPlan,
+        effective_date: fields.cancelled_date,
+        subscription: updated,
+      });
+    }
+
+    const changed = await payments.changePlan(subscription, plan);
+    const entitlements = entitlementsFor(plan);
+    const fields = {
+      ...subscriptionFields(changed),
+      plan,
+      mrr_amount: entitlements.monthly_price,
+    };
+    const updated = await store.subscriptions.update(customerId, fields);
+    await store.customers.update(customerId, { plan });
+
+    console.log(`[SUCCESS] Customer ${customerId} moved from ${previousPlan} to ${plan}`);
+
+    return res.status(200).json({
+      success: true,
+      message: `Your plan is now ${entitlements.label}`,
+      plan,
+      previous_plan: previousPlan,
+      entitlements,
+      effective_date: new Date().toISOString().split('T')[0],
+      subscription: updated,
+    });
+
+  } catch (error) {
+    console.error('Error changing plan:', error);
+    return sendError(res, error, 'Failed to change plan');
+  }
+};
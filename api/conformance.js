@@ -0,0 +1,88 @@
+// Vercel Serverless Function: /api/conformance
+// WCAG conformance summary (VPAT 2.x style) for a scan: each success criterion rated
+// Supports / Partially Supports / Does Not Support / Not Evaluated.
+// Defaults to the latest scan (of website_url, for Professional accounts).
+
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { entitlementsFor, requireInHistory, requireExport } = require('../lib/entitlements');
+const { LEVELS, VERSIONS, buildConformance } = require('../lib/wcag');
+const { applyRemediation, isCounted } = require('../lib/remediation');
+const { REPORT_FORMATS, renderConformanceHtml, renderConformanceCsv } = require('../lib/report');
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const store = getStore();
+    const { customer } = await authenticate(req, store);
+
+    const { scan_id: scanId, website_url: websiteUrl } = req.query;
+    const level = (req.query.level || 'AA').toUpperCase();
+    const version = req.query.version || '2.2';
+    const format = (req.query.format || 'json').toLowerCase();
+
+    if (!LEVELS.includes(level)) {
+      return res.status(400).json({ error: `level must be one of: ${LEVELS.join(', ')}` });
+    }
+    if (!VERSIONS.includes(version)) {
+      return res.status(400).json({ error: `version must be one of: ${VERSIONS.join(', ')}` });
+    }
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${REPORT_FORMATS.join(', ')}` });
+    }
+    // JSON is what the dashboards display; downloads follow the plan's exports
+    const entitlements = entitlementsFor(customer.plan);
+    if (format !== 'json') {
+      requireExport(entitlements, format);
+    }
+
+    const scan = scanId
+      ? await store.scans.getForCustomer(scanId, customer.customer_id)
+      : (await store.scans.listForCustomer(customer.customer_id, { websiteUrl }))[0];
+
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+
+    // False positives (including ones marked on earlier scans) are not failures
+    const siteScans = await store.scans.listForCustomer(customer.customer_id, { websiteUrl: scan.website_url });
+    requireInHistory(entitlements, scan, siteScans);
+    const history = siteScans.slice(Math.max(siteScans.findIndex(s => s.scan_id === scan.scan_id), 0));
+    const violations = applyRemediation(history, await store.violations.listForScans(history.map(s => s.scan_id)))
+      .filter(v => String(v.scan_id).trim() === String(scan.scan_id).trim())
+      .filter(isCounted);
+    const conformance = buildConformance({ scan, violations, version, level });
+
+    const filename = `accessibility-conformance-${scan.scan_id}-wcag${version}-${level}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.status(200).send(renderConformanceCsv(conformance));
+    }
+
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.status(200).send(renderConformanceHtml(conformance, { companyName: customer.company_name }));
+    }
+
+    return res.status(200).json(conformance);
+
+  } catch (error) {
+    console.error('Error building conformance report:', error);
+    return sendError(res, error, 'Failed to build conformance report');
+  }
+};
@@ -1,13 +1,21 @@
 // Vercel Serverless Function: /api/customer-data
-// Fetches customer data from Google Sheets for the ADA Compliance Dashboard
-
-const { google } = require('googleapis');
+// Fetches customer data from the data store for the ADA Compliance Dashboard
+// Violations can be filtered, grouped, sorted and paginated; see lib/violation-query.js
+
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { permissionsFor } = require('../lib/roles');
+const { entitlementsFor, withinHistory, aiAnalysisFor } = require('../lib/entitlements');
+const { buildScanView } = require('../lib/scan-view');
+const { activeSuppressions } = require('../lib/suppressions');
+const { parseViolationQuery, queryViolations } = require('../lib/violation-query');
 
 module.exports = async function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -18,204 +26,51 @@ module.exports = async function handler(req, res) {
   }
 
   try {
-    const token = req.query.token;
-    const customerId = req.query.id;
-
-    if (!token && !customerId) {
-      return res.status(400).json({ error: 'Authentication required. Use ?token=YOUR_TOKEN or ?id=CUST001' });
-    }
-
-    // Initialize Google Sheets API
-    const auth = new google.auth.GoogleAuth({
-      credentials: {
-        client_email: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
-        private_key: process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-      },
-      scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
-    });
-
-    const sheets = google.sheets({ version: 'v4', auth });
-    const spreadsheetId = process.env.GOOGLE_SHEET_ID;
-
-    // Fetch customer data from Customers sheet (up to Column S for scan_status)
-    const customerResponse = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: 'Customers!A:T',
-    });
-
-    const customerRows = customerResponse.data.values || [];
-    const customerHeaders = customerRows[0] || [];
-    const customerData = customerRows.slice(1);
-
-    // Find customer by token (Column N, index 13) or by customer_id (Column A, index 0)
-    let customer;
-    if (token) {
-      customer = customerData.find(row => row[13] === token);
-      if (!customer) {
-        return res.status(404).json({ error: 'Invalid or expired token' });
-      }
-    } else {
-      customer = customerData.find(row => row[0] === customerId);
-      if (!customer) {
-        return res.status(404).json({ error: `Customer ${customerId} not found` });
-      }
-    }
-
-    // Map customer data to object
-    // Columns: A=customer_id, B=name, C=surname, D=email, E=company_name, F=website_url, G=plan, H=scan_frequency, I=created_date, J=last_scan_date, K=current_score, L=status, M=pages_to_scan, N=token, O=password_hash, P=session_token, Q=reset_token, R=reset_token_expires, S=scan_status, T=stripe_id
-    const customerObj = {
-      customer_id: customer[0],  // Column A
-      email: customer[3],        // Column D
-      company_name: customer[4], // Column E
-      website_url: customer[5],  // Column F
-      plan: customer[6],         // Column G
-      scan_frequency: customer[7], // Column H
-      created_date: customer[8], // Column I
-      last_scan_date: customer[9], // Column J
-      current_score: customer[10], // Column K
-      status: customer[11],      // Column L
-      scan_status: customer[18], // Column S
-      stripe_id: customer[19],   // Column T
-    };
-
-    // Store the customer_id for filtering scans (works for both token and customer_id auth)
-    const actualCustomerId = customerObj.customer_id;
+    const store = getStore();
 
-    // Fetch subscription data from Subscriptions sheet
-    const subscriptionResponse = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: 'Subscriptions!A:J',
-    });
+    // Customer comes from the verified session, never from query parameters
+    const { customer, role } = await authenticate(req, store);
+    const violationQuery = parseViolationQuery(req.query);
 
-    const subscriptionRows = subscriptionResponse.data.values || [];
-    const subscriptionData = subscriptionRows.slice(1);
+    const actualCustomerId = customer.customer_id;
+    const entitlements = entitlementsFor(customer.plan);
 
-    // Find active subscription for this customer (match on customer_id, Column A, index 0)
-    const subscription = subscriptionData.find(row => row[0] === actualCustomerId);
+    // Everything below in one Sheets read
+    await store.prefetch(['subscriptions', 'scans', 'violations', 'suppressions']);
 
-    const subscriptionObj = subscription ? {
-      customer_id: subscription[0],
-      payment_gateway_customer_id: subscription[1],
-      subscription_id: subscription[2],
-      plan: subscription[3],
-      status: subscription[4],
-      current_period_start: subscription[5],
-      current_period_end: subscription[6], // This is the expiry date!
-      mrr_amount: subscription[7],
-      created_date: subscription[8],
-      cancelled_date: subscription[9],
-    } : null;
-
-    // Fetch scan history from Scan Summary sheet (now includes columns A:W after restructure)
-    const scansResponse = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: 'Scan Summary!A:W',
-    });
-
-    const scanRows = scansResponse.data.values || [];
-    const scanData = scanRows.slice(1);
-
-    // Filter scans for this customer (customer_id is column B, index 1)
-    const customerScans = scanData.filter(row => row[1] === actualCustomerId);
-
-    // Sort by scan_date descending to get latest first (scan_date is NOW Column O, index 14)
-    customerScans.sort((a, b) => new Date(b[14]) - new Date(a[14]));
+    // Find active subscription for this customer
+    const subscription = await store.subscriptions.getForCustomer(actualCustomerId);
 
+    // Scan history for this customer, latest first
+    const customerScans = await store.scans.listForCustomer(actualCustomerId);
     const latestScan = customerScans[0];
 
-    // Fetch violations for the latest scan
-    let violations = [];
-    if (latestScan) {
-      const latestScanId = latestScan[0]; // scan_id is column A
-
-      const violationsResponse = await sheets.spreadsheets.values.get({
-        spreadsheetId,
-        range: 'Violations!A:N',
-      });
-
-      const violationRows = violationsResponse.data.values || [];
-      const violationData = violationRows.slice(1);
-
-      // Normalize latestScanId for comparison (trim whitespace, convert to string)
-      const normalizedScanId = String(latestScanId || '').trim();
-
-      // Debug logging: Show what we're looking for
-      console.log('[DEBUG] Latest Scan ID:', normalizedScanId);
-      console.log('[DEBUG] Total violation rows:', violationData.length);
-
-      // Log first 3 violation scan_ids for comparison
-      if (violationData.length > 0) {
-        console.log('[DEBUG] Sample violation scan_ids:',
-          violationData.slice(0, 3).map(row => `"${row[1]}" (type: ${typeof row[1]})`));
-      }
-
-      // Filter violations for latest scan with robust comparison
-      const scanViolations = violationData.filter(row => {
-        // Safety check: ensure row has at least 2 columns
-        if (!row || row.length < 2) {
-          return false;
-        }
-
-        // Normalize the scan_id from the violation row (column B, index 1)
-        const rowScanId = String(row[1] || '').trim();
-
-        // Return true if normalized values match
-        return rowScanId === normalizedScanId;
-      });
-
-      console.log('[DEBUG] Matching violations found:', scanViolations.length);
-
-      violations = scanViolations.map(v => ({
-        violation_id: v[0],
-        scan_id: v[1],
-        customer_id: v[2],
-        page_url: v[3],
-        rule_id: v[4],
-        impact: v[5],
-        description: v[6],
-        element_selector: v[7],
-        help_url: v[8],
-        fixed_status: v[9],
-        detected_date: v[10],
-        fixed_date: v[11],
-        ai_explanation: v[13], // Column N
-      }));
-    }
-
-    // Build historical data for trend chart (ALL scans - no limit)
+    // Fetch violations for every scan so each one in the latest scan can be traced back
+    // through history (new / persisting / regressed), fixes since last scan found and
+    // remediation statuses carried forward. The site's suppression rules are applied.
+    const allViolations = await store.violations.listForScans(customerScans.map(scan => scan.scan_id));
+    const suppressions = activeSuppressions(
+      await store.suppressions.listForCustomer(actualCustomerId),
+      latestScan ? latestScan.website_url : customer.website_url
+    );
+    const view = buildScanView(customerScans, allViolations, suppressions);
+    const violationResult = queryViolations(view.violations, violationQuery);
+    const violations = violationResult.items;
+
+    // Build historical data for trend chart (every scan within the plan's history depth)
     // Chart will auto-zoom to show last 20 by default, but all data is available for panning
-    const historical = customerScans.slice().reverse().map(scan => ({
-      date: scan[14], // scan_date (NOW Column O, index 14)
-      score: parseInt(scan[8]) || 0, // compliance_score (NOW Column I, index 8)
+    const historical = withinHistory(entitlements, customerScans).slice().reverse().map(scan => ({
+      scan_id: scan.scan_id,
+      date: scan.scan_date,
+      score: scan.compliance_score,
     }));
 
-    // Parse scanned page URLs from Column H (index 7) of the latest scan
-    // Handle both old format (stringified array) and new format (comma-separated string)
-    const scannedPageUrls = (() => {
-      if (!latestScan || !latestScan[7]) return [];
-
-      const raw = latestScan[7];
-
-      // Handle old format: stringified array like '["url1","url2"]'
-      if (raw.startsWith('[') && raw.endsWith(']')) {
-        try {
-          return JSON.parse(raw);
-        } catch (e) {
-          console.error('Failed to parse scanned_page_urls as JSON:', e);
-          return [];
-        }
-      }
-
-      // Handle new format: comma-separated string like 'url1,url2,url3'
-      return raw.split(',').map(url => url.trim()).filter(Boolean);
-    })();
-
     // Build response matching dashboard expectations
-    // NEW STRUCTURE: A=scan_id, B=customer_id, C=company_name, D=email, E=website_url, F=plan, G=pages_scanned, H=scanned_page_urls, I=compliance_score, J=total_violations, K=critical_count, L=serious_count, M=moderate_count, N=minor_count, O=scan_date, P=scan_duration_seconds, Q=status, R=max_pages, S=scanner_version, T=success, U=scan_method, V=ai_analysis, W=ai_level
     const response = {
-      score: latestScan ? parseInt(latestScan[8]) || 0 : 0, // NOW Column I (index 8)
-      lastScan: latestScan ? latestScan[14] : customerObj.last_scan_date, // NOW Column O (index 14)
+      score: latestScan ? latestScan.compliance_score : 0,
+      lastScan: latestScan ? latestScan.scan_date : customer.last_scan_date,
       violations: violations.map(v => ({
+        violation_id: v.violation_id,
         impact: v.impact,
         rule_id: v.rule_id,
         description: v.description,
@@ -223,53 +78,61 @@ module.exports = async function handler(req, res) {
         help_url: v.help_url,
         page_url: v.page_url,
         fixed_status: v.fixed_status,
+        status: v.status,
+        status_reason: v.status_reason,
+        assigned_to: v.assigned_to,
+        lifecycle_status: v.lifecycle_status,
+        first_seen: v.first_seen,
       })),
+      violations_page: violationResult.page,
+      violation_groups: violationResult.groups,
+      fixed_violations: view.fixed.map(v => ({
+        impact: v.impact,
+        rule_id: v.rule_id,
+        description: v.description,
+        element_selector: v.element_selector,
+        page_url: v.page_url,
+        first_seen: v.first_seen,
+        fixed_date: v.fixed_date,
+        status: v.status,
+      })),
+      lifecycle: view.lifecycle,
+      suppressed_violations: view.suppressed.map(v => ({
+        violation_id: v.violation_id,
+        impact: v.impact,
+        rule_id: v.rule_id,
+        description: v.description,
+        element_selector: v.element_selector,
+        page_url: v.page_url,
+        suppression_id: v.suppression_id,
+      })),
+      suppressions,
       historical,
       customer: {
-        id: customerObj.customer_id,
-        email: customerObj.email,
-        company_name: customerObj.company_name,
-        website_url: customerObj.website_url,
-        plan: customerObj.plan,
-        status: customerObj.status,
-        scan_status: customerObj.scan_status, // Scan status for overlay display
-        stripe_id: customerObj.stripe_id, // Stripe customer ID for Billing Portal
-        subscription: subscriptionObj, // Include subscription data
+        id: customer.customer_id,
+        email: customer.email,
+        company_name: customer.company_name,
+        website_url: customer.website_url,
+        plan: customer.plan,
+        status: customer.status,
+        scan_status: customer.scan_status, // Scan status for overlay display
+        stripe_id: customer.stripe_id, // Stripe customer ID for Billing Portal
+        subscription, // Include subscription data
+        entitlements, // What the plan includes, for the dashboard to show or hide features
+        role, // The signed-in user's role on the account, and what it allows
+        permissions: permissionsFor(role),
+      },
+      // Summary counts leave out false positives and suppressed violations
+      scan_summary: view.summary && {
+        ...view.summary,
+        ai_analysis: aiAnalysisFor(entitlements, view.summary.ai_analysis),
       },
-      scan_summary: latestScan ? {
-        scan_id: latestScan[0], // Column A (index 0) - unchanged
-        customer_id: latestScan[1], // Column B (index 1) - unchanged
-        company_name: latestScan[2], // Column C (index 2) - NEW
-        email: latestScan[3], // Column D (index 3) - NEW
-        website_url: latestScan[4], // Column E (index 4) - NEW
-        plan: latestScan[5], // Column F (index 5) - NEW
-        pages_scanned: parseInt(latestScan[6]) || 0, // NOW Column G (index 6)
-        scanned_page_urls: scannedPageUrls, // NOW Column H (index 7)
-        compliance_score: parseInt(latestScan[8]) || 0, // NOW Column I (index 8)
-        total_violations: parseInt(latestScan[9]) || 0, // NOW Column J (index 9)
-        critical_count: parseInt(latestScan[10]) || 0, // NOW Column K (index 10)
-        serious_count: parseInt(latestScan[11]) || 0, // NOW Column L (index 11)
-        moderate_count: parseInt(latestScan[12]) || 0, // NOW Column M (index 12)
-        minor_count: parseInt(latestScan[13]) || 0, // NOW Column N (index 13)
-        scan_date: latestScan[14], // NOW Column O (index 14)
-        scan_duration_seconds: latestScan[15], // NOW Column P (index 15)
-        status: latestScan[16], // NOW Column Q (index 16)
-        max_pages: parseInt(latestScan[17]) || 0, // Column R (index 17) - NEW
-        scanner_version: latestScan[18], // Column S (index 18) - NEW
-        success: latestScan[19], // Column T (index 19) - NEW
-        scan_method: latestScan[20], // Column U (index 20) - NEW
-        ai_analysis: latestScan[21], // Column V (index 21) - NEW
-        ai_level: latestScan[22], // Column W (index 22) - NEW
-      } : null,
     };
 
     return res.status(200).json(response);
 
   } catch (error) {
     console.error('Error fetching customer data:', error);
-    return res.status(500).json({
-      error: 'Failed to fetch customer data',
-      details: error.message
-    });
+    return sendError(res, error, 'Failed to fetch customer data');
   }
 };
@@ -0,0 +1,40 @@
+// Vercel Serverless Function: /api/entitlements
+// What the signed-in customer's plan includes, and every plan on offer, from
+// lib/entitlements.js. The dashboards read this instead of knowing plan names.
+// GET -> { plan, entitlements, plans: [{ plan, label, ... }] }
+
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { PLAN_ENTITLEMENTS, entitlementsFor } = require('../lib/entitlements');
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const store = getStore();
+    const { customer } = await authenticate(req, store);
+    const entitlements = entitlementsFor(customer.plan);
+
+    return res.status(200).json({
+      plan: entitlements.plan,
+      entitlements,
+      plans: Object.keys(PLAN_ENTITLEMENTS).map(entitlementsFor),
+    });
+
+  } catch (error) {
+    console.error('Error fetching entitlements:', error);
+    return sendError(res, error, 'Failed to fetch entitlements');
+  }
+};
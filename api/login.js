@@ -0,0 +1,100 @@
+// Vercel Serverless Function: /api/login
+// Verifies a user's password (or emailed access link token) and issues a session JWT
+// for one of the customer accounts they belong to
+
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { issueSession } = require('../lib/sessions');
+const { entitlementsFor } = require('../lib/entitlements');
+const { permissionsFor } = require('../lib/roles');
+const {
+  signInWithPassword,
+  findAccessLinkMember,
+  selectMembership,
+  listAccounts,
+} = require('../lib/team');
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed. Use POST.' });
+  }
+
+  try {
+    const { email, password, token, customer_id: customerId } = req.body || {};
+
+    if (!token && (!email || !password)) {
+      return res.status(400).json({ error: 'Email and password required' });
+    }
+    // Lookups compare trimmed cells, so a blank token would match every customer without one
+    const accessToken = typeof token === 'string' ? token.trim() : '';
+    if (token && !accessToken) {
+      return res.status(400).json({ error: 'Invalid or expired access link', code: 'invalid_token' });
+    }
+
+    const store = getStore();
+    let user;
+    let membership;
+
+    if (accessToken) {
+      // Access link from a scan results email (token column); exchanged for a normal 1-hour session
+      const linked = await store.customers.findOne({ token: accessToken });
+      const member = linked && await findAccessLinkMember(store, linked);
+      if (!member) {
+        return res.status(401).json({ error: 'Invalid or expired access link', code: 'invalid_token' });
+      }
+      ({ user, membership } = member);
+    } else {
+      user = await signInWithPassword(store, email, password);
+
+      // Same response for unknown email and wrong password so accounts can't be enumerated
+      if (!user) {
+        return res.status(401).json({ error: 'Invalid email or password', code: 'invalid_credentials' });
+      }
+
+      // Members of several accounts pick one with customer_id; the first is the default
+      membership = await selectMembership(store, user, customerId);
+      if (!membership) {
+        return res.status(403).json({
+          error: customerId ? 'You are not a member of that account' : 'This login is not on any account',
+          code: 'no_membership',
+        });
+      }
+    }
+
+    const customer = await store.customers.get(membership.customer_id);
+    if (!customer) {
+      return res.status(403).json({ error: 'This login is not on any account', code: 'no_membership' });
+    }
+
+    const { session, expires_at } = await issueSession(store, user, membership, customer);
+
+    console.log(`[INFO] Session issued for user ${user.user_id} on customer ${customer.customer_id}`);
+
+    return res.status(200).json({
+      success: true,
+      session,
+      expires_at,
+      customer_id: customer.customer_id,
+      user_id: user.user_id,
+      role: membership.role,
+      permissions: permissionsFor(membership.role),
+      accounts: await listAccounts(store, user),
+      plan: customer.plan,
+      entitlements: entitlementsFor(customer.plan),
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    return sendError(res, error, 'Login failed');
+  }
+};
@@ -0,0 +1,37 @@
+// Vercel Serverless Function: /api/logout
+// Revokes the current session so the JWT stops working before it expires
+
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { revokeSession } = require('../lib/sessions');
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed. Use POST.' });
+  }
+
+  try {
+    const store = getStore();
+    const { user } = await authenticate(req, store);
+
+    await revokeSession(store, user.user_id);
+
+    console.log(`[INFO] Session revoked for user ${user.user_id}`);
+
+    return res.status(200).json({ success: true });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    return sendError(res, error, 'Logout failed');
+  }
+};
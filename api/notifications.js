@@ -0,0 +1,141 @@
+// Vercel Serverless Function: /api/notifications
+// GET                               -> notification settings and the recent delivery log
+// PATCH { notify_scan_complete?, score_threshold?, notify_new_critical?, email_recipients?,
+//         webhook_url?, rotate_secret? }
+//                                   -> change settings (creates the customer's row on first change)
+// POST  { test: true }              -> send a test notification to every recipient
+// POST  { delivery_id }             -> send a logged delivery again
+
+const crypto = require('crypto');
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { dashboardUrl } = require('../lib/env');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const {
+  newWebhookSecret,
+  resolveNotificationSettings,
+  parseNotificationUpdate,
+} = require('../lib/notifications');
+const { createDeliveries, attemptDeliveries, redeliver } = require('../lib/notification-deliveries');
+const { can, requirePermission } = require('../lib/roles');
+
+const RECENT_DELIVERIES = 50;
+
+// The log without each row's stored payload
+function present(delivery) {
+  const { payload, ...rest } = delivery;
+  return rest;
+}
+
+// Only those who can change the settings see the webhook signing secret
+function presentSettings(settings, role) {
+  if (can(role, 'manage_settings')) return settings;
+  const { webhook_secret, ...rest } = settings;
+  return rest;
+}
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PATCH, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'PATCH', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const store = getStore();
+    const { customer, user, role } = await authenticate(req, store);
+    const customerId = customer.customer_id;
+    const existing = await store.notificationSettings.getForCustomer(customerId);
+
+    if (req.method === 'GET') {
+      const deliveries = await store.notificationDeliveries.listForCustomer(customerId);
+      return res.status(200).json({
+        settings: presentSettings(resolveNotificationSettings(customer, existing), role),
+        deliveries: deliveries.slice(0, RECENT_DELIVERIES).map(present),
+      });
+    }
+
+    // Changing settings and sending test notifications and redeliveries
+    requirePermission(role, 'manage_settings');
+
+    if (req.method === 'PATCH') {
+      const fields = {
+        ...parseNotificationUpdate(req.body || {}),
+        updated_by: user.email,
+        updated_at: new Date().toISOString(),
+      };
+
+      let record;
+      if (existing) {
+        // A webhook needs a signing secret; issue one the first time a URL is set
+        if (fields.webhook_url && !existing.webhook_secret && !fields.webhook_secret) {
+          fields.webhook_secret = newWebhookSecret();
+        }
+        record = await store.notificationSettings.update(customerId, fields);
+      } else {
+        const defaults = resolveNotificationSettings(customer);
+        record = await store.notificationSettings.append({
+          customer_id: customerId,
+          notify_scan_complete: defaults.notify_scan_complete,
+          score_threshold: 0,
+          notify_new_critical: defaults.notify_new_critical,
+          email_recipients: defaults.email_recipients,
+          webhook_url: '',
+          webhook_secret: fields.webhook_url ? newWebhookSecret() : '',
+          ...fields,
+        });
+      }
+
+      return res.status(200).json({ success: true, settings: resolveNotificationSettings(customer, record) });
+    }
+
+    // POST: test notification or redelivery
+    const body = req.body || {};
+    const deliveryId = String(body.delivery_id ?? '').trim();
+
+    if (deliveryId) {
+      const delivery = await store.notificationDeliveries.get(deliveryId);
+      if (!delivery || String(delivery.customer_id).trim() !== String(customerId).trim()) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+      const updated = await redeliver(store, delivery);
+      return res.status(200).json({ success: updated.status === 'delivered', delivery: present(updated) });
+    }
+
+    if (body.test !== true) {
+      return res.status(400).json({ error: 'Send { test: true } or { delivery_id }' });
+    }
+
+    const settings = resolveNotificationSettings(customer, existing);
+    if (!settings.webhook_url && settings.email_recipients.length === 0) {
+      return res.status(400).json({ error: 'Add an email recipient or a webhook URL first' });
+    }
+
+    const baseUrl = dashboardUrl();
+    const created = await createDeliveries(store, customerId, settings, {
+      id: `notification.test:${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      type: 'notification.test',
+      created: new Date().toISOString(),
+      data: {},
+      customer_id: customerId,
+      dashboard_url: baseUrl,
+    });
+    const deliveries = await attemptDeliveries(store, created);
+
+    return res.status(200).json({
+      success: deliveries.every(delivery => delivery.status === 'delivered'),
+      deliveries: deliveries.map(present),
+    });
+
+  } catch (error) {
+    console.error('Error managing notifications:', error);
+    return sendError(res, error, 'Failed to manage notifications');
+  }
+};
@@ -0,0 +1,64 @@
+// Vercel Serverless Function: /api/page-breakdown
+// GET ?scan_id=... -> every page in the scan with its own violation counts and page
+// score, worst first. Drill down with /api/scan?scan_id=...&page_url=...
+
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { entitlementsFor, requireInHistory } = require('../lib/entitlements');
+const { buildScanView } = require('../lib/scan-view');
+const { activeSuppressions } = require('../lib/suppressions');
+const { buildPageBreakdown, PAGE_SCORE_PENALTIES } = require('../lib/page-breakdown');
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const store = getStore();
+    const { customer } = await authenticate(req, store);
+
+    const scanId = req.query.scan_id;
+    if (!scanId) {
+      return res.status(400).json({ error: 'scan_id is required' });
+    }
+
+    // Ownership check: another customer's scan is reported as missing
+    const scan = await store.scans.getForCustomer(scanId, customer.customer_id);
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+
+    // Same violations the dashboard shows for this scan: statuses carried forward,
+    // suppressed violations left out
+    const siteScans = await store.scans.listForCustomer(customer.customer_id, { websiteUrl: scan.website_url });
+    requireInHistory(entitlementsFor(customer.plan), scan, siteScans);
+    const index = siteScans.findIndex(s => s.scan_id === scan.scan_id);
+    const history = siteScans.slice(Math.max(index, 0));
+    const violationData = await store.violations.listForScans(history.map(s => s.scan_id));
+    const suppressions = activeSuppressions(await store.suppressions.listForCustomer(customer.customer_id), scan.website_url);
+    const view = buildScanView(history, violationData, suppressions);
+
+    return res.status(200).json({
+      scan_id: scan.scan_id,
+      website_url: scan.website_url,
+      scan_date: scan.scan_date,
+      score_penalties: PAGE_SCORE_PENALTIES,
+      pages: buildPageBreakdown(scan, view.violations),
+    });
+
+  } catch (error) {
+    console.error('Error building page breakdown:', error);
+    return sendError(res, error, 'Failed to build page breakdown');
+  }
+};
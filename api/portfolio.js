@@ -0,0 +1,73 @@
+// Vercel Serverless Function: /api/portfolio
+// Every website of a multi-site account at a glance: score, trend, counts and scan
+// age per site, account-wide totals and the most common failing rules.
+// GET ?sort=score|trend|critical|violations|last_scan|name&order=asc|desc
+// (default: lowest score first)
+
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { entitlementsFor, withinHistory } = require('../lib/entitlements');
+const { buildScanView } = require('../lib/scan-view');
+const { activeSuppressions } = require('../lib/suppressions');
+const { latestByWebsite } = require('../lib/scan-queue');
+const { parseWebsites } = require('../lib/websites');
+const { settingsByWebsite } = require('../lib/website-settings');
+const { parsePortfolioSort, buildPortfolio } = require('../lib/portfolio');
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const store = getStore();
+    const { customer } = await authenticate(req, store);
+
+    // Multi-site dashboard plans only
+    const entitlements = entitlementsFor(customer.plan);
+    if (!entitlements.multi_site_dashboard) {
+      return res.status(403).json({ error: 'Your plan does not include the multi-site dashboard' });
+    }
+
+    const sortOptions = parsePortfolioSort(req.query);
+    const customerId = customer.customer_id;
+    const websiteUrls = parseWebsites(customer.website_url);
+
+    await store.prefetch(['scans', 'violations', 'suppressions', 'scanQueue', 'websiteSettings']);
+
+    const customerScans = await store.scans.listForCustomer(customerId);
+    const violationData = await store.violations.listForScans(customerScans.map(scan => scan.scan_id));
+    const suppressionData = await store.suppressions.listForCustomer(customerId);
+    const latestRequests = latestByWebsite(await store.scanQueue.listForCustomer(customerId));
+    const siteSettings = settingsByWebsite(customer, websiteUrls, await store.websiteSettings.listForCustomer(customerId));
+
+    // Same per-site view as /api/professional-data, so counts match the site dashboard
+    const sites = websiteUrls.map(url => {
+      const scans = customerScans.filter(scan => scan.website_url === url);
+      return {
+        website_url: url,
+        settings: siteSettings[url],
+        // Trends only look as far back as the plan's history goes
+        scans: withinHistory(entitlements, scans),
+        view: buildScanView(scans, violationData, activeSuppressions(suppressionData, url)),
+        scan_status: latestRequests[url] ? latestRequests[url].status : null,
+      };
+    });
+
+    return res.status(200).json(buildPortfolio(sites, sortOptions));
+
+  } catch (error) {
+    console.error('Error building portfolio:', error);
+    return sendError(res, error, 'Failed to build portfolio');
+  }
+};
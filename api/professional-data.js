@@ -1,13 +1,24 @@
 // Vercel Serverless Function: /api/professional-data
 // Fetches multi-site data for Professional tier users
-
-const { google } = require('googleapis');
+// ?website_url=... limits the response to one site. Violations can be filtered, grouped,
+// sorted and paginated per site; see lib/violation-query.js
+
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { permissionsFor } = require('../lib/roles');
+const { entitlementsFor, withinHistory, aiAnalysisFor } = require('../lib/entitlements');
+const { buildScanView } = require('../lib/scan-view');
+const { activeSuppressions } = require('../lib/suppressions');
+const { parseViolationQuery, queryViolations } = require('../lib/violation-query');
+const { latestByWebsite } = require('../lib/scan-queue');
+const { settingsByWebsite } = require('../lib/website-settings');
 
 module.exports = async function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -18,190 +29,155 @@ module.exports = async function handler(req, res) {
   }
 
   try {
-    const token = req.query.token;
-
-    if (!token) {
-      return res.status(400).json({ error: 'Token required' });
-    }
-
-    // Initialize Google Sheets API
-    const auth = new google.auth.GoogleAuth({
-      credentials: {
-        client_email: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
-        private_key: process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-      },
-      scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
-    });
+    const store = getStore();
 
-    const sheets = google.sheets({ version: 'v4', auth });
-    const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+    // Customer comes from the verified session
+    const { customer, role } = await authenticate(req, store);
 
-    // Fetch customer data
-    const customerResponse = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: 'Customers!A:T',
-    });
-
-    const customerRows = customerResponse.data.values || [];
-    const customerData = customerRows.slice(1);
-
-    // Find customer by session_token (Column P, index 15)
-    const customer = customerData.find(row => row[15] === token);
-
-    if (!customer) {
-      return res.status(404).json({ error: 'Customer not found' });
+    // Multi-site dashboard plans only
+    const entitlements = entitlementsFor(customer.plan);
+    if (!entitlements.multi_site_dashboard) {
+      return res.status(403).json({ error: 'Your plan does not include the multi-site dashboard' });
     }
 
-    // Verify this is a Professional user
-    if (customer[6] !== 'professional') {
-      return res.status(403).json({ error: 'Professional plan required' });
-    }
+    const violationQuery = parseViolationQuery(req.query);
 
-    // Parse website URLs (comma-separated in Column F, index 5)
-    const websiteUrls = customer[5]
+    // Parse website URLs (comma-separated website_url)
+    const websiteUrls = (customer.website_url || '')
       .split(',')
       .map(url => url.trim())
       .filter(Boolean);
 
-    // Fetch all scans
-    const scansResponse = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: 'Scan Summary!A:W',
-    });
-
-    const scanRows = scansResponse.data.values || [];
-    const scanData = scanRows.slice(1);
+    const onlyUrl = req.query.website_url;
+    if (onlyUrl && !websiteUrls.includes(onlyUrl)) {
+      return res.status(400).json({ error: 'website_url must be one of your websites' });
+    }
 
-    // Fetch all violations
-    const violationsResponse = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: 'Violations!A:N',
-    });
+    const customerId = customer.customer_id;
 
-    const violationRows = violationsResponse.data.values || [];
-    const violationData = violationRows.slice(1);
+    // Everything below in one Sheets read
+    await store.prefetch(['scans', 'violations', 'suppressions', 'scanQueue', 'websiteSettings', 'subscriptions']);
 
-    const customerId = customer[0]; // Column A
+    // Fetch all scans for this customer, then their violations so lifecycle can be tracked
+    const customerScans = await store.scans.listForCustomer(customerId);
+    const violationData = await store.violations.listForScans(customerScans.map(scan => scan.scan_id));
+    const suppressionData = await store.suppressions.listForCustomer(customerId);
+    const latestRequests = latestByWebsite(await store.scanQueue.listForCustomer(customerId));
+    const siteSettings = settingsByWebsite(customer, websiteUrls, await store.websiteSettings.listForCustomer(customerId));
 
     // Build data for each website
-    const websites = websiteUrls.map(url => {
-      // Get scans for this customer and URL
-      const scans = scanData
-        .filter(scan =>
-          scan[1] === customerId && // Column B: customer_id
-          scan[4] === url // Column E: website_url
-        )
-        .sort((a, b) => new Date(b[14]) - new Date(a[14])); // Column O: scan_date
-
+    const websites = websiteUrls.filter(url => !onlyUrl || url === onlyUrl).map(url => {
+      // Scans for this URL, latest first
+      const scans = customerScans.filter(scan => scan.website_url === url);
       const latestScan = scans[0];
 
-      // Get last 10 scans for historical chart
-      const last10 = scans.slice(0, 10).reverse();
-
-      // Get violations for latest scan
-      const violations = latestScan
-        ? violationData
-            .filter(v => v[1] === latestScan[0]) // Match scan_id
-            .map(v => ({
-              violation_id: v[0],
-              scan_id: v[1],
-              customer_id: v[2],
-              page_url: v[3],
-              rule_id: v[4],
-              impact: v[5],
-              description: v[6],
-              element_selector: v[7],
-              help_url: v[8],
-              fixed_status: v[9],
-              ai_explanation: v[13], // Column N
-            }))
-        : [];
-
-      // Parse scanned page URLs from Column H (index 7)
-      const parseScannedPageUrls = (raw) => {
-        if (!raw) return [];
-
-        // Handle old format: stringified array
-        if (raw.startsWith('[') && raw.endsWith(']')) {
-          try {
-            return JSON.parse(raw);
-          } catch (e) {
-            return [];
-          }
-        }
-
-        // Handle new format: comma-separated
-        return raw.split(',').map(url => url.trim()).filter(Boolean);
-      };
+      // Get last 10 scans for historical chart, within the plan's history depth
+      const last10 = withinHistory(entitlements, scans).slice(0, 10).reverse();
+
+      // Violations for the latest scan, labelled against this site's earlier scans, with
+      // remediation statuses carried forward and this site's suppression rules applied.
+      // Summary counts leave out false positives and suppressed violations.
+      const suppressions = activeSuppressions(suppressionData, url);
+      const view = buildScanView(scans, violationData, suppressions);
+      const summary = view.summary;
+      const violationResult = queryViolations(view.violations, violationQuery);
+      const violations = violationResult.items.map(v => ({
+        violation_id: v.violation_id,
+        scan_id: v.scan_id,
+        customer_id: v.customer_id,
+        page_url: v.page_url,
+        rule_id: v.rule_id,
+        impact: v.impact,
+        description: v.description,
+        element_selector: v.element_selector,
+        help_url: v.help_url,
+        fixed_status: v.fixed_status,
+        status: v.status,
+        status_reason: v.status_reason,
+        assigned_to: v.assigned_to,
+        ai_explanation: v.ai_explanation,
+        lifecycle_status: v.lifecycle_status,
+        first_seen: v.first_seen,
+      }));
 
       return {
         website_url: url,
-        current_score: latestScan ? parseInt(latestScan[8]) || 0 : 0, // Column I
-        last_scan_date: latestScan ? latestScan[14] : null, // Column O
-        total_violations: latestScan ? parseInt(latestScan[9]) || 0 : 0, // Column J
+        settings: siteSettings[url],
+        // State of the site's latest on-demand scan request, if any
+        scan_status: latestRequests[url] ? latestRequests[url].status : null,
+        current_score: latestScan ? latestScan.compliance_score : 0,
+        last_scan_date: latestScan ? latestScan.scan_date : null,
+        total_violations: latestScan ? summary.total_violations : 0,
         latest_scan: latestScan ? {
-          scan_id: latestScan[0],
-          pages_scanned: parseInt(latestScan[6]) || 0,
-          compliance_score: parseInt(latestScan[8]) || 0,
-          total_violations: parseInt(latestScan[9]) || 0,
-          critical_count: parseInt(latestScan[10]) || 0,
-          serious_count: parseInt(latestScan[11]) || 0,
-          moderate_count: parseInt(latestScan[12]) || 0,
-          minor_count: parseInt(latestScan[13]) || 0,
-          scan_date: latestScan[14],
-          scanned_page_urls: parseScannedPageUrls(latestScan[7]), // Column H
-          ai_analysis: latestScan[21], // Column V
-          ai_level: latestScan[22], // Column W
+          scan_id: latestScan.scan_id,
+          pages_scanned: latestScan.pages_scanned,
+          compliance_score: latestScan.compliance_score,
+          total_violations: summary.total_violations,
+          critical_count: summary.critical_count,
+          serious_count: summary.serious_count,
+          moderate_count: summary.moderate_count,
+          minor_count: summary.minor_count,
+          false_positive_count: summary.false_positive_count,
+          suppressed_count: summary.suppressed_count,
+          suppressed_by_impact: summary.suppressed_by_impact,
+          scan_date: latestScan.scan_date,
+          scanned_page_urls: latestScan.scanned_page_urls,
+          ai_analysis: aiAnalysisFor(entitlements, latestScan.ai_analysis),
+          ai_level: latestScan.ai_level,
         } : null,
         violations: violations,
+        violations_page: violationResult.page,
+        violation_groups: violationResult.groups,
+        fixed_violations: view.fixed.map(v => ({
+          page_url: v.page_url,
+          rule_id: v.rule_id,
+          impact: v.impact,
+          description: v.description,
+          element_selector: v.element_selector,
+          first_seen: v.first_seen,
+          fixed_date: v.fixed_date,
+          status: v.status,
+        })),
+        lifecycle: view.lifecycle,
+        suppressed_violations: view.suppressed.map(v => ({
+          violation_id: v.violation_id,
+          page_url: v.page_url,
+          rule_id: v.rule_id,
+          impact: v.impact,
+          description: v.description,
+          element_selector: v.element_selector,
+          suppression_id: v.suppression_id,
+        })),
+        suppressions,
         historical: last10.map(s => ({
-          date: s[14], // scan_date
-          score: parseInt(s[8]) || 0, // compliance_score
+          scan_id: s.scan_id,
+          date: s.scan_date,
+          score: s.compliance_score,
         })),
       };
     });
 
     // Fetch subscription data
-    const subscriptionResponse = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: 'Subscriptions!A:J',
-    });
-
-    const subscriptionRows = subscriptionResponse.data.values || [];
-    const subscriptionData = subscriptionRows.slice(1);
-    const subscription = subscriptionData.find(row => row[0] === customerId);
-
-    const subscriptionObj = subscription ? {
-      customer_id: subscription[0],
-      payment_gateway_customer_id: subscription[1],
-      subscription_id: subscription[2],
-      plan: subscription[3],
-      status: subscription[4],
-      current_period_start: subscription[5],
-      current_period_end: subscription[6],
-      mrr_amount: subscription[7],
-      created_date: subscription[8],
-      cancelled_date: subscription[9],
-    } : null;
+    const subscription = await store.subscriptions.getForCustomer(customerId);
 
     return res.status(200).json({
       customer: {
-        id: customer[0],
-        email: customer[3],
-        company_name: customer[4],
-        plan: customer[6],
-        status: customer[11],
-        stripe_id: customer[19],
-        subscription: subscriptionObj,
+        id: customer.customer_id,
+        email: customer.email,
+        company_name: customer.company_name,
+        plan: customer.plan,
+        status: customer.status,
+        stripe_id: customer.stripe_id,
+        subscription,
+        entitlements,
+        role, // The signed-in user's role on the account, and what it allows
+        permissions: permissionsFor(role),
       },
       websites: websites,
     });
 
   } catch (error) {
     console.error('Error fetching professional data:', error);
-    return res.status(500).json({
-      error: 'Failed to fetch data',
-      details: error.message
-    });
+    return sendError(res, error, 'Failed to fetch data');
   }
 };
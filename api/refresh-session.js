@@ -0,0 +1,41 @@
+// Vercel Serverless Function: /api/refresh-session
+// Sliding renewal: swaps a still-valid session for a new one with a fresh 1-hour expiry
+
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { issueSession } = require('../lib/sessions');
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed. Use POST.' });
+  }
+
+  try {
+    const store = getStore();
+
+    // Expired or revoked sessions can't be renewed; the user has to log in again
+    const { customer, user, membership } = await authenticate(req, store);
+
+    const { session, expires_at } = await issueSession(store, user, membership, customer);
+
+    return res.status(200).json({
+      success: true,
+      session,
+      expires_at,
+    });
+
+  } catch (error) {
+    console.error('Session refresh error:', error);
+    return sendError(res, error, 'Session refresh failed');
+  }
+};
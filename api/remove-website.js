@@ -1,12 +1,17 @@
 // Vercel Serverless Function: /api/remove-website
 // Remove a website from Professional user's account
+// Concurrent changes to the list are merged; see lib/websites.js
 
-const { google } = require('googleapis');
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { updateWebsites } = require('../lib/websites');
+const { requirePermission } = require('../lib/roles');
 
 module.exports = async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -17,79 +22,44 @@ module.exports = async function handler(req, res) {
   }
 
   try {
-    const { token, remove_url } = req.body;
+    const { remove_url } = req.body;
 
-    if (!token || !remove_url) {
-      return res.status(400).json({ error: 'Token and remove_url required' });
+    if (!remove_url) {
+      return res.status(400).json({ error: 'remove_url required' });
     }
 
-    // Initialize Google Sheets API
-    const auth = new google.auth.GoogleAuth({
-      credentials: {
-        client_email: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
-        private_key: process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-      },
-      scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-    });
-
-    const sheets = google.sheets({ version: 'v4', auth });
-    const spreadsheetId = process.env.GOOGLE_SHEET_ID;
-
-    // Get customer record
-    const customerResponse = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: 'Customers!A:T',
-    });
-
-    const rows = customerResponse.data.values || [];
-    const customerData = rows.slice(1);
-    const customerIndex = customerData.findIndex(row => row[13] === token); // Column N: token
-
-    if (customerIndex === -1) {
-      return res.status(404).json({ error: 'Customer not found' });
-    }
-
-    const customer = customerData[customerIndex];
+    const store = getStore();
 
-    // Get current URLs
-    const currentUrls = customer[5] // Column F: website_url
-      .split(',')
-      .map(url => url.trim())
-      .filter(Boolean);
+    // Customer comes from the verified session
+    const { customer, role } = await authenticate(req, store);
+    requirePermission(role, 'manage_websites');
 
-    // Remove URL
-    const updatedUrls = currentUrls.filter(url => url !== remove_url.trim());
+    // Remove URL from the saved list, re-checked against the latest list on a conflict
+    const result = await updateWebsites(store, customer, currentUrls => {
+      const updatedUrls = currentUrls.filter(url => url !== remove_url.trim());
 
-    if (updatedUrls.length === currentUrls.length) {
-      return res.status(404).json({ error: 'Website not found' });
-    }
-
-    if (updatedUrls.length === 0) {
-      return res.status(400).json({ error: 'Cannot remove last website' });
-    }
-
-    // Update Google Sheet
-    const rowNumber = customerIndex + 2;
-    await sheets.spreadsheets.values.update({
-      spreadsheetId,
-      range: `Customers!F${rowNumber}`,
-      valueInputOption: 'RAW',
-      resource: {
-        values: [[updatedUrls.join(',')]]
+      if (updatedUrls.length === currentUrls.length) {
+        return { status: 404, error: 'Website not found' };
       }
+      if (updatedUrls.length === 0) {
+        return { status: 400, error: 'Cannot remove last website' };
+      }
+      return updatedUrls;
     });
 
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
     return res.status(200).json({
       success: true,
-      websites: updatedUrls,
+      websites: result.websites,
       message: 'Website removed successfully'
     });
 
   } catch (error) {
     console.error('Error removing website:', error);
-    return res.status(500).json({
-      error: 'Failed to remove website',
-      details: error.message
-    });
+    return sendError(res, error, 'Failed to remove website');
   }
 };
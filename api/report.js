@@ -0,0 +1,86 @@
+// Vercel Serverless Function: /api/report
+// Dated compliance report for one scan as printable HTML, CSV or JSON.
+// Links can carry the session as ?session=... so the report opens in a new tab.
+
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { entitlementsFor, withinHistory, requireInHistory, requireExport, aiAnalysisFor } = require('../lib/entitlements');
+const { buildScanView } = require('../lib/scan-view');
+const { activeSuppressions } = require('../lib/suppressions');
+const { REPORT_FORMATS, buildReport, renderHtml, renderCsv } = require('../lib/report');
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const store = getStore();
+    const { customer } = await authenticate(req, store);
+
+    const format = (req.query.format || 'html').toLowerCase();
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${REPORT_FORMATS.join(', ')}` });
+    }
+    const entitlements = entitlementsFor(customer.plan);
+    requireExport(entitlements, format);
+
+    const scanId = req.query.scan_id;
+    if (!scanId) {
+      return res.status(400).json({ error: 'scan_id is required' });
+    }
+
+    const scan = await store.scans.getForCustomer(scanId, customer.customer_id);
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+
+    // Scans of this website up to and including the reported one, latest first
+    const siteScans = await store.scans.listForCustomer(customer.customer_id, { websiteUrl: scan.website_url });
+    requireInHistory(entitlements, scan, siteScans);
+    const history = siteScans.slice(Math.max(siteScans.findIndex(s => s.scan_id === scan.scan_id), 0));
+    const violationData = await store.violations.listForScans(history.map(s => s.scan_id));
+    // Same violations and counts as the dashboard: suppressed violations left out
+    const suppressions = activeSuppressions(await store.suppressions.listForCustomer(customer.customer_id), scan.website_url);
+    const view = buildScanView(history, violationData, suppressions);
+    // The score trend only goes back as far as the plan's history depth, as on the dashboard
+    const charted = withinHistory(entitlements, siteScans).filter(s => history.includes(s));
+
+    const report = buildReport({
+      customer,
+      scan: { ...view.summary, ai_analysis: aiAnalysisFor(entitlements, scan.ai_analysis) },
+      violations: view.violations,
+      history: charted.slice().reverse(),
+    });
+
+    const filename = `ada-compliance-report-${scan.scan_id}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.status(200).send(renderCsv(report));
+    }
+
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.status(200).json(report);
+    }
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.status(200).send(renderHtml(report));
+
+  } catch (error) {
+    console.error('Error generating report:', error);
+    return sendError(res, error, 'Failed to generate report');
+  }
+};
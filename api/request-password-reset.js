@@ -0,0 +1,81 @@
+// Vercel Serverless Function: /api/request-password-reset
+// Emails a single-use, time-limited password reset link
+
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { dashboardUrl } = require('../lib/env');
+const { CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { createResetToken, RESET_TOKEN_TTL_MINUTES } = require('../lib/passwords');
+const { sendMail } = require('../lib/mailer');
+const { findResetAccount } = require('../lib/team');
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed. Use POST.' });
+  }
+
+  try {
+    const { email } = req.body || {};
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email required' });
+    }
+
+    const store = getStore();
+    const account = await findResetAccount(store, email);
+
+    // Same response whether or not the account exists, so emails can't be probed
+    const response = {
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent.',
+    };
+
+    if (!account) {
+      return res.status(200).json(response);
+    }
+
+    // A new request replaces any earlier, unused token. Accounts from before team
+    // accounts keep theirs on the Customers row until the link is used.
+    const { token, hash, expires } = createResetToken();
+    const tokenFields = { reset_token: hash, reset_token_expires: expires };
+    const { user, customer } = account;
+    if (user) {
+      await store.users.update(user.user_id, tokenFields);
+    } else {
+      await store.customers.update(customer.customer_id, tokenFields);
+    }
+
+    const baseUrl = dashboardUrl();
+    const resetUrl = `${baseUrl}/reset-password.html?reset_token=${token}`;
+
+    await sendMail({
+      to: user ? user.email : customer.email,
+      subject: 'Reset your ADA Compliance Dashboard password',
+      text: [
+        'We received a request to reset your dashboard password.',
+        '',
+        `Reset it here (link expires in ${RESET_TOKEN_TTL_MINUTES} minutes and works once):`,
+        resetUrl,
+        '',
+        'If you didn\'t ask for this, you can ignore this email.',
+      ].join('\n'),
+    });
+
+    console.log(`[INFO] Password reset requested for ${user ? `user ${user.user_id}` : `customer ${customer.customer_id}`}`);
+
+    return res.status(200).json(response);
+
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    return sendError(res, error, 'Failed to request password reset');
+  }
+};
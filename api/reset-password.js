@@ -0,0 +1,74 @@
+// Vercel Serverless Function: /api/reset-password
+// Sets a new password using a reset token from /api/request-password-reset
+
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { hashPassword, hashResetToken, MIN_PASSWORD_LENGTH } = require('../lib/passwords');
+const { migrateForReset } = require('../lib/team');
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed. Use POST.' });
+  }
+
+  try {
+    const { reset_token, password } = req.body || {};
+
+    if (!reset_token || !password) {
+      return res.status(400).json({ error: 'reset_token and password required' });
+    }
+
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const store = getStore();
+    const tokenHash = hashResetToken(reset_token);
+    // Links sent to logins from before team accounts have their token on the Customers row
+    let user = await store.users.findOne({ reset_token: tokenHash });
+    const customer = user ? null : await store.customers.findOne({ reset_token: tokenHash });
+    const holder = user || customer;
+
+    if (!holder) {
+      return res.status(400).json({ error: 'Invalid or already used reset link', code: 'invalid_reset_token' });
+    }
+
+    const expires = new Date(holder.reset_token_expires);
+    if (isNaN(expires.getTime()) || expires < new Date()) {
+      return res.status(400).json({ error: 'Reset link has expired', code: 'reset_token_expired' });
+    }
+
+    if (customer) {
+      user = await migrateForReset(store, customer);
+    }
+
+    // Clearing the token makes it single-use; clearing session_token logs the user out everywhere
+    await store.users.update(user.user_id, {
+      password_hash: hashPassword(password),
+      reset_token: '',
+      reset_token_expires: '',
+      session_token: '',
+    });
+
+    console.log(`[SUCCESS] Password reset for user ${user.user_id}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Password updated. Please log in with your new password.',
+    });
+
+  } catch (error) {
+    console.error('Password reset error:', error);
+    return sendError(res, error, 'Failed to reset password');
+  }
+};
@@ -0,0 +1,62 @@
+// Vercel Serverless Function: /api/resume-subscription
+// Undoes a cancellation before the billing period ends, so the subscription renews as
+// normal. Once the period has ended the customer has to subscribe again through checkout.
+
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { getPayments } = require('../lib/payments');
+const { checkPeriod, subscriptionFields } = require('../lib/billing');
+const { requirePermission } = require('../lib/roles');
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const store = getStore();
+    const { customer, role } = await authenticate(req, store);
+    requirePermission(role, 'manage_billing');
+    const customerId = customer.customer_id;
+
+    const subscription = await store.subscriptions.getForCustomer(customerId);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found for this customer' });
+    }
+
+    const payments = getPayments();
+    const providerSubscription = await payments.getSubscription(subscription);
+    checkPeriod(providerSubscription);
+
+    if (!providerSubscription.cancel_at_period_end) {
+      return res.status(409).json({ error: 'This subscription is not cancelled', code: 'not_cancelled' });
+    }
+
+    const fields = subscriptionFields(await payments.resume(subscription));
+    const updated = await store.subscriptions.update(customerId, fields);
+
+    console.log(`[SUCCESS] Resumed subscription for customer ${customerId}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Subscription resumed successfully',
+      status: fields.status,
+      current_period_end: fields.current_period_end,
+      subscription: updated,
+    });
+
+  } catch (error) {
+    console.error('Error resuming subscription:', error);
+    return sendError(res, error, 'Failed to resume subscription');
+  }
+};
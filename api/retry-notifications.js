@@ -0,0 +1,55 @@
+// Vercel Serverless Function: /api/retry-notifications
+// Sends the notifications for scans that landed since the last run, scheduled and
+// on-demand alike, then retries deliveries whose next attempt is due. Run by the Vercel
+// cron in vercel.json, which sends `Authorization: Bearer <CRON_SECRET>`.
+// GET -> { notified, attempted, delivered, failed, pending }
+
+const crypto = require('crypto');
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { dashboardUrl } = require('../lib/env');
+const { AuthError } = require('../lib/errors');
+const { notifyRecentScans } = require('../lib/notifications');
+const { retryDueDeliveries } = require('../lib/notification-deliveries');
+
+function verifyCronSecret(req) {
+  const expected = process.env.CRON_SECRET;
+  if (!expected) {
+    console.error('CRON_SECRET is not set');
+    throw new AuthError('Server configuration error', 'server_config', 500);
+  }
+
+  const given = Buffer.from(String(req.headers?.authorization ?? ''));
+  const wanted = Buffer.from(`Bearer ${expected}`);
+  if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+    throw new AuthError('Invalid cron secret', 'invalid_token');
+  }
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    verifyCronSecret(req);
+
+    const store = getStore();
+    const notified = await notifyRecentScans(store, { dashboardUrl: dashboardUrl() });
+    const retried = await retryDueDeliveries(store);
+    const attempted = [...notified, ...retried];
+    const count = status => attempted.filter(delivery => delivery.status === status).length;
+
+    return res.status(200).json({
+      notified: notified.length,
+      attempted: attempted.length,
+      delivered: count('delivered'),
+      failed: count('failed'),
+      pending: count('pending'),
+    });
+
+  } catch (error) {
+    console.error('Error retrying notifications:', error);
+    return sendError(res, error, 'Failed to retry notifications');
+  }
+};
@@ -0,0 +1,75 @@
+// Vercel Serverless Function: /api/scan-diff
+// Compares two of the signed-in customer's scans: score and impact deltas,
+// violations added/removed (grouped by page and rule) and pages that entered or
+// dropped out of the crawl. Each scan is taken as the dashboard shows it, so false
+// positives and suppressed violations are left out of the lists and counts.
+
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { entitlementsFor, requireInHistory } = require('../lib/entitlements');
+const { buildScanView } = require('../lib/scan-view');
+const { isCounted } = require('../lib/remediation');
+const { activeSuppressions } = require('../lib/suppressions');
+const { diffScans } = require('../lib/scan-diff');
+
+// The scan's summary and violations as the dashboard shows them: statuses carried
+// forward from the site's earlier scans, false positives and suppressed violations out
+async function scanView(store, scan, siteScans, suppressions) {
+  const history = siteScans.slice(Math.max(siteScans.findIndex(s => s.scan_id === scan.scan_id), 0));
+  const violationData = await store.violations.listForScans(history.map(s => s.scan_id));
+  const view = buildScanView(history, violationData, activeSuppressions(suppressions, scan.website_url));
+  return { summary: view.summary, violations: view.violations.filter(isCounted) };
+}
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const store = getStore();
+    const { customer } = await authenticate(req, store);
+
+    const { from, to } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to scan IDs are required' });
+    }
+
+    // Both scans must belong to the signed-in customer
+    const [fromScan, toScan] = await Promise.all([
+      store.scans.getForCustomer(from, customer.customer_id),
+      store.scans.getForCustomer(to, customer.customer_id),
+    ]);
+
+    if (!fromScan || !toScan) {
+      return res.status(404).json({ error: 'Scan not found', scan_id: !fromScan ? from : to });
+    }
+
+    // Both scans must be within the plan's history of their website
+    const entitlements = entitlementsFor(customer.plan);
+    const suppressions = await store.suppressions.listForCustomer(customer.customer_id);
+    const views = [];
+    for (const scan of [fromScan, toScan]) {
+      const siteScans = await store.scans.listForCustomer(customer.customer_id, { websiteUrl: scan.website_url });
+      requireInHistory(entitlements, scan, siteScans);
+      views.push(await scanView(store, scan, siteScans, suppressions));
+    }
+    const [fromView, toView] = views;
+
+    return res.status(200).json(diffScans(fromView.summary, toView.summary, fromView.violations, toView.violations));
+
+  } catch (error) {
+    console.error('Error diffing scans:', error);
+    return sendError(res, error, 'Failed to compare scans');
+  }
+};
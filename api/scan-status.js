@@ -0,0 +1,122 @@
+// Vercel Serverless Function: /api/scan-status
+// Lightweight scan progress for the dashboards: per-site state, pages crawled and
+// completion, without any violation data.
+// GET                      -> one JSON snapshot (the polling fallback)
+// GET ?stream=1, or Accept: text/event-stream
+//                          -> Server-Sent Events: a `progress` event whenever the snapshot
+//                             changes and a final `done` event once nothing is in progress.
+//                             EventSource can't set headers, so pass ?session=...
+// ?since=<ms>              -> when the dashboard started watching. After WATCH_MAX_MS sites
+//                             still in progress are reported as `stale` and the snapshot is
+//                             done (timed_out: true), which tells the dashboard to stop.
+
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { WATCH_MAX_MS, buildScanProgress } = require('../lib/scan-progress');
+
+const POLL_INTERVAL_MS = 5000;
+// Stay under the function timeout; EventSource reconnects after `retry`
+const STREAM_MAX_MS = 55000;
+
+function customerWebsites(customer) {
+  return (customer.website_url || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+}
+
+function wantsStream(req) {
+  return req.query.stream === '1' || String(req.headers?.accept || '').includes('text/event-stream');
+}
+
+// The client sends the same ?since= on every reconnect and poll, so the deadline
+// doesn't restart with each stream. Missing or future values count from now.
+function watchStart(req) {
+  const since = Number(req.query.since);
+  const now = Date.now();
+  return Number.isFinite(since) && since > 0 && since < now ? since : now;
+}
+
+async function loadProgress(store, customerId, since) {
+  const customer = await store.customers.get(customerId);
+  const scans = await store.scans.listForCustomer(customerId);
+  const requests = await store.scanQueue.listForCustomer(customerId);
+  const timedOut = Date.now() - since >= WATCH_MAX_MS;
+  return buildScanProgress(customer, customerWebsites(customer), scans, requests, { timedOut });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function streamProgress(req, res, store, customerId, since) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.status(200);
+  res.write('retry: 5000\n\n');
+
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  const deadline = Date.now() + STREAM_MAX_MS;
+  let last = null;
+
+  while (!closed && Date.now() < deadline) {
+    const progress = await loadProgress(store, customerId, since);
+    const payload = JSON.stringify(progress);
+
+    if (payload !== last) {
+      res.write(`event: progress\ndata: ${payload}\n\n`);
+      last = payload;
+    } else {
+      // Comment line keeps proxies from closing an idle connection
+      res.write(': keep-alive\n\n');
+    }
+
+    if (progress.done) {
+      res.write(`event: done\ndata: ${JSON.stringify({ timed_out: progress.timed_out })}\n\n`);
+      break;
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+
+  return res.end();
+}
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const store = getStore();
+    const { customer } = await authenticate(req, store);
+    const since = watchStart(req);
+
+    if (wantsStream(req)) {
+      return await streamProgress(req, res, store, customer.customer_id, since);
+    }
+
+    return res.status(200).json(await loadProgress(store, customer.customer_id, since));
+
+  } catch (error) {
+    console.error('Error fetching scan status:', error);
+    // Once the stream has started the status line is sent; just close it
+    if (res.headersSent) {
+      return res.end();
+    }
+    return sendError(res, error, 'Failed to fetch scan status');
+  }
+};
@@ -0,0 +1,105 @@
+// Vercel Serverless Function: /api/scan
+// Returns one past scan of the signed-in customer: summary (including AI analysis),
+// violations and lifecycle relative to the scans before it. Violations take the same
+// filter, group, sort and pagination parameters as /api/customer-data.
+
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { entitlementsFor, requireInHistory, aiAnalysisFor } = require('../lib/entitlements');
+const { buildScanView } = require('../lib/scan-view');
+const { activeSuppressions } = require('../lib/suppressions');
+const { parseViolationQuery, queryViolations } = require('../lib/violation-query');
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const store = getStore();
+    const { customer } = await authenticate(req, store);
+    const violationQuery = parseViolationQuery(req.query);
+
+    const scanId = req.query.scan_id;
+    if (!scanId) {
+      return res.status(400).json({ error: 'scan_id is required' });
+    }
+
+    // Ownership check: another customer's scan is reported as missing
+    const scan = await store.scans.getForCustomer(scanId, customer.customer_id);
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+
+    // Lifecycle is relative to this website's scans up to and including this one
+    const siteScans = await store.scans.listForCustomer(customer.customer_id, { websiteUrl: scan.website_url });
+    const entitlements = entitlementsFor(customer.plan);
+    requireInHistory(entitlements, scan, siteScans);
+    const index = siteScans.findIndex(s => s.scan_id === scan.scan_id);
+    const history = siteScans.slice(Math.max(index, 0));
+    const violationData = await store.violations.listForScans(history.map(s => s.scan_id));
+    const suppressions = activeSuppressions(await store.suppressions.listForCustomer(customer.customer_id), scan.website_url);
+    const view = buildScanView(history, violationData, suppressions);
+    const violationResult = queryViolations(view.violations, violationQuery);
+
+    return res.status(200).json({
+      // Counts leave out false positives and suppressed violations
+      scan: { ...view.summary, ai_analysis: aiAnalysisFor(entitlements, view.summary.ai_analysis) },
+      is_latest: index === 0,
+      violations: violationResult.items.map(v => ({
+        violation_id: v.violation_id,
+        scan_id: v.scan_id,
+        page_url: v.page_url,
+        rule_id: v.rule_id,
+        impact: v.impact,
+        description: v.description,
+        element_selector: v.element_selector,
+        help_url: v.help_url,
+        fixed_status: v.fixed_status,
+        status: v.status,
+        status_reason: v.status_reason,
+        assigned_to: v.assigned_to,
+        ai_explanation: v.ai_explanation,
+        lifecycle_status: v.lifecycle_status,
+        first_seen: v.first_seen,
+      })),
+      violations_page: violationResult.page,
+      violation_groups: violationResult.groups,
+      fixed_violations: view.fixed.map(v => ({
+        page_url: v.page_url,
+        rule_id: v.rule_id,
+        impact: v.impact,
+        description: v.description,
+        element_selector: v.element_selector,
+        first_seen: v.first_seen,
+        fixed_date: v.fixed_date,
+        status: v.status,
+      })),
+      lifecycle: view.lifecycle,
+      suppressed_violations: view.suppressed.map(v => ({
+        violation_id: v.violation_id,
+        page_url: v.page_url,
+        rule_id: v.rule_id,
+        impact: v.impact,
+        description: v.description,
+        element_selector: v.element_selector,
+        suppression_id: v.suppression_id,
+      })),
+      suppressions,
+    });
+
+  } catch (error) {
+    console.error('Error fetching scan:', error);
+    return sendError(res, error, 'Failed to fetch scan');
+  }
+};
@@ -0,0 +1,201 @@
+// Vercel Serverless Function: /api/scans
+// GET   ?website_url=...          -> the customer's recent scan requests and plan limits
+// POST  { website_url? }          -> queue an on-demand scan and hand it to the scanner
+// PATCH { request_id, status, pages_scanned?, pages_total?, scan_id?, error? }
+//                                 -> progress report from the scanner, authenticated with
+//                                    the X-Scanner-Secret header (SCANNER_CALLBACK_SECRET).
+//                                    A complete report with scan_id sends the customer's
+//                                    notifications (lib/notifications.js).
+
+const crypto = require('crypto');
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { dashboardUrl } = require('../lib/env');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { AuthError } = require('../lib/errors');
+const { getScanner, requestScan } = require('../lib/scanner');
+const { SCAN_STATES, scanUsage, checkScanAllowed } = require('../lib/scan-queue');
+const { resolveSettings } = require('../lib/website-settings');
+const { requirePermission } = require('../lib/roles');
+
+const RECENT_REQUESTS = 20;
+
+function customerWebsites(customer) {
+  return (customer.website_url || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+}
+
+function verifyScannerSecret(req) {
+  const expected = process.env.SCANNER_CALLBACK_SECRET;
+  if (!expected) {
+    console.error('SCANNER_CALLBACK_SECRET is not set');
+    throw new AuthError('Server configuration error', 'server_config', 500);
+  }
+
+  const given = Buffer.from(String(req.headers?.['x-scanner-secret'] ?? ''));
+  const wanted = Buffer.from(expected);
+  if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+    throw new AuthError('Invalid scanner secret', 'invalid_token');
+  }
+}
+
+// Scanner progress report
+async function updateRequest(req, res, store) {
+  verifyScannerSecret(req);
+
+  const body = req.body || {};
+  const requestId = String(body.request_id ?? '').trim();
+  const status = String(body.status ?? '').trim();
+
+  if (!requestId) {
+    return res.status(400).json({ error: 'request_id is required' });
+  }
+  if (!SCAN_STATES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${SCAN_STATES.join(', ')}` });
+  }
+
+  const request = await store.scanQueue.get(requestId);
+  if (!request) {
+    return res.status(404).json({ error: 'Scan request not found' });
+  }
+
+  const now = new Date().toISOString();
+  const fields = { status };
+  // The scanner sends `running` again with page counts as it crawls
+  if (status === 'running' && !request.started_at) fields.started_at = now;
+  ['pages_scanned', 'pages_total'].forEach(name => {
+    if (body[name] !== undefined && body[name] !== '') {
+      const count = parseInt(body[name], 10);
+      if (Number.isInteger(count) && count >= 0) fields[name] = count;
+    }
+  });
+  if (status === 'complete' || status === 'failed') fields.completed_at = now;
+  if (body.scan_id) fields.scan_id = String(body.scan_id).trim();
+  if (status === 'failed') fields.error = String(body.error ?? '').trim();
+
+  const updated = await store.scanQueue.update(requestId, fields);
+
+  // The customer's scan_status follows their latest request only; an older request
+  // finishing late doesn't overwrite a newer one's state
+  const [latest] = await store.scanQueue.listForCustomer(request.customer_id);
+  if (latest && latest.request_id === requestId) {
+    await store.customers.update(request.customer_id, { scan_status: status });
+  }
+
+  return res.status(200).json({ success: true, scan_request: updated });
+}
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'POST', 'PATCH'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const store = getStore();
+
+    if (req.method === 'PATCH') {
+      return await updateRequest(req, res, store);
+    }
+
+    const { customer, user, role } = await authenticate(req, store);
+    const customerId = customer.customer_id;
+    const websites = customerWebsites(customer);
+    const requests = await store.scanQueue.listForCustomer(customerId);
+
+    if (req.method === 'GET') {
+      const websiteUrl = req.query.website_url;
+      return res.status(200).json({
+        scan_requests: requests
+          .filter(r => !websiteUrl || r.website_url === websiteUrl)
+          .slice(0, RECENT_REQUESTS),
+        limits: scanUsage(customer.plan, requests),
+      });
+    }
+
+    // POST: queue a scan. Single-site plans scan their one website.
+    requirePermission(role, 'run_scans');
+
+    let websiteUrl = String(req.body?.website_url ?? '').trim();
+    if (!websiteUrl && websites.length === 1) {
+      websiteUrl = websites[0];
+    }
+    if (!websiteUrl) {
+      return res.status(400).json({ error: 'website_url is required' });
+    }
+    if (!websites.includes(websiteUrl)) {
+      return res.status(400).json({ error: 'website_url must be one of your websites' });
+    }
+
+    const check = checkScanAllowed(customer.plan, requests, websiteUrl);
+    if (!check.allowed) {
+      if (check.retry_after) {
+        res.setHeader('Retry-After', String(check.retry_after));
+      }
+      return res.status(check.status).json({
+        error: check.error,
+        ...(check.retry_after ? { retry_after: check.retry_after } : {}),
+      });
+    }
+
+    // Before anything is queued, so a missing DASHBOARD_URL or SCANNER doesn't leave a stuck request
+    const baseUrl = dashboardUrl();
+    getScanner();
+
+    const scanRequest = {
+      request_id: `SCANREQ-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      customer_id: customerId,
+      website_url: websiteUrl,
+      status: 'queued',
+      requested_by: user.email,
+      requested_at: new Date().toISOString(),
+      started_at: '',
+      completed_at: '',
+      pages_scanned: '',
+      pages_total: '',
+      scan_id: '',
+      error: '',
+    };
+    await store.scanQueue.append(scanRequest);
+    await store.customers.update(customerId, { scan_status: 'queued' });
+
+    const settings = resolveSettings(customer, websiteUrl, await store.websiteSettings.getForWebsite(customerId, websiteUrl));
+    try {
+      await requestScan({
+        request_id: scanRequest.request_id,
+        customer_id: customerId,
+        website_url: websiteUrl,
+        plan: customer.plan,
+        pages_to_scan: settings.pages_to_scan,
+        include_paths: settings.include_paths,
+        exclude_paths: settings.exclude_paths,
+        callback_url: `${baseUrl}/api/scans`,
+      });
+    } catch (error) {
+      console.error('Scanner rejected scan request:', error);
+      const failed = await store.scanQueue.update(scanRequest.request_id, {
+        status: 'failed',
+        completed_at: new Date().toISOString(),
+        error: error.message,
+      });
+      await store.customers.update(customerId, { scan_status: 'failed' });
+      return res.status(502).json({ error: 'The scanner is unavailable. Please try again later.', scan_request: failed });
+    }
+
+    return res.status(202).json({ success: true, scan_request: scanRequest });
+
+  } catch (error) {
+    console.error('Error handling scan request:', error);
+    return sendError(res, error, 'Failed to handle scan request');
+  }
+};
@@ -0,0 +1,115 @@
+// Vercel Serverless Function: /api/suppressions
+// GET    ?website_url=...        -> suppression rules (all sites when omitted)
+// POST   { website_url, rule_id?, selector_pattern?, page_pattern?, justification, expires_at? }
+// DELETE ?suppression_id=...     -> retire a rule (kept in the sheet with removed_at)
+
+const crypto = require('crypto');
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { isActive, isExpired } = require('../lib/suppressions');
+const { requirePermission } = require('../lib/roles');
+
+function customerWebsites(customer) {
+  return (customer.website_url || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+}
+
+function present(suppression) {
+  return {
+    ...suppression,
+    active: isActive(suppression),
+    expired: isExpired(suppression),
+  };
+}
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const store = getStore();
+    const { customer, user, role } = await authenticate(req, store);
+    const customerId = customer.customer_id;
+
+    if (req.method === 'GET') {
+      const websiteUrl = req.query.website_url;
+      const suppressions = (await store.suppressions.listForCustomer(customerId))
+        .filter(s => !websiteUrl || s.website_url === websiteUrl)
+        .filter(s => !s.removed_at);
+      return res.status(200).json({ suppressions: suppressions.map(present) });
+    }
+
+    requirePermission(role, 'triage_violations');
+
+    if (req.method === 'DELETE') {
+      const suppressionId = req.query.suppression_id || req.body?.suppression_id;
+      if (!suppressionId) {
+        return res.status(400).json({ error: 'suppression_id is required' });
+      }
+
+      const suppression = await store.suppressions.get(suppressionId);
+      if (!suppression || String(suppression.customer_id).trim() !== String(customerId).trim()) {
+        return res.status(404).json({ error: 'Suppression not found' });
+      }
+
+      const removed = await store.suppressions.update(suppressionId, { removed_at: new Date().toISOString() });
+      return res.status(200).json({ success: true, suppression: present(removed) });
+    }
+
+    // POST: create a suppression
+    const body = req.body || {};
+    const websiteUrl = String(body.website_url ?? '').trim();
+    const ruleId = String(body.rule_id ?? '').trim();
+    const selectorPattern = String(body.selector_pattern ?? '').trim();
+    const pagePattern = String(body.page_pattern ?? '').trim();
+    const justification = String(body.justification ?? '').trim();
+    const expiresAt = String(body.expires_at ?? '').trim();
+
+    if (!customerWebsites(customer).includes(websiteUrl)) {
+      return res.status(400).json({ error: 'website_url must be one of your websites' });
+    }
+    if (!ruleId && !selectorPattern && !pagePattern) {
+      return res.status(400).json({ error: 'Set at least one of rule_id, selector_pattern or page_pattern' });
+    }
+    if (!justification) {
+      return res.status(400).json({ error: 'A justification is required' });
+    }
+    if (expiresAt && Number.isNaN(new Date(expiresAt).getTime())) {
+      return res.status(400).json({ error: 'expires_at must be a date' });
+    }
+
+    const suppression = {
+      suppression_id: `SUP-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      customer_id: customerId,
+      website_url: websiteUrl,
+      rule_id: ruleId,
+      selector_pattern: selectorPattern,
+      page_pattern: pagePattern,
+      justification,
+      expires_at: expiresAt ? new Date(expiresAt).toISOString() : '',
+      created_by: user.email,
+      created_at: new Date().toISOString(),
+      removed_at: '',
+    };
+    await store.suppressions.append(suppression);
+
+    return res.status(201).json({ success: true, suppression: present(suppression) });
+
+  } catch (error) {
+    console.error('Error managing suppressions:', error);
+    return sendError(res, error, 'Failed to manage suppressions');
+  }
+};
@@ -0,0 +1,136 @@
+// Vercel Serverless Function: /api/team
+// GET                               -> the account's members, and pending invitations for
+//                                      those who manage the team
+// POST   { email, role }            -> invite someone (emails them a link to /accept-invite.html)
+// PATCH  { user_id, role }          -> change a member's role
+// DELETE ?user_id=...               -> remove a member; anyone can remove themselves
+// DELETE ?invitation_id=...         -> revoke an invitation
+// Roles and what they allow are in lib/roles.js.
+
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { dashboardUrl } = require('../lib/env');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { sendMail } = require('../lib/mailer');
+const { can, requirePermission, permissionsFor } = require('../lib/roles');
+const {
+  INVITATION_TTL_DAYS,
+  listMembers,
+  presentInvitation,
+  invitationStatus,
+  parseRole,
+  requireCanAssign,
+  createInvitation,
+  requireCanChangeMember,
+} = require('../lib/team');
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'POST', 'PATCH', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const store = getStore();
+    const { customer, user, membership, role } = await authenticate(req, store);
+    const customerId = customer.customer_id;
+
+    if (req.method === 'GET') {
+      const invitations = can(role, 'manage_team')
+        ? (await store.invitations.listForCustomer(customerId))
+          .filter(invitation => invitationStatus(invitation) === 'pending')
+          .map(presentInvitation)
+        : [];
+      return res.status(200).json({
+        user_id: user.user_id,
+        role,
+        permissions: permissionsFor(role),
+        members: await listMembers(store, customerId),
+        invitations,
+      });
+    }
+
+    if (req.method === 'POST') {
+      const inviteRole = parseRole(req.body?.role);
+      requireCanAssign(role, inviteRole);
+      const baseUrl = dashboardUrl();
+
+      const { invitation, token } = await createInvitation(store, customerId, {
+        email: req.body?.email,
+        role: inviteRole,
+      }, user.email);
+
+      await sendMail({
+        to: invitation.email,
+        subject: `You're invited to ${customer.company_name || 'an account'} on the ADA Compliance Dashboard`,
+        text: [
+          `${user.name || user.email} invited you to join ${customer.company_name || 'their account'} on the ADA Compliance Dashboard as ${inviteRole === 'admin' ? 'an' : 'a'} ${inviteRole}.`,
+          '',
+          `Accept the invitation here (link expires in ${INVITATION_TTL_DAYS} days):`,
+          `${baseUrl}/accept-invite.html?invite_token=${token}`,
+          '',
+          'If you weren\'t expecting this, you can ignore this email.',
+        ].join('\n'),
+      });
+
+      console.log(`[INFO] ${user.user_id} invited ${invitation.email} to customer ${customerId} as ${inviteRole}`);
+
+      return res.status(201).json({ success: true, invitation: presentInvitation(invitation) });
+    }
+
+    if (req.method === 'DELETE' && (req.query.invitation_id || req.body?.invitation_id)) {
+      requirePermission(role, 'manage_team');
+
+      const invitationId = req.query.invitation_id || req.body.invitation_id;
+      const invitation = await store.invitations.get(invitationId);
+      if (!invitation || String(invitation.customer_id).trim() !== String(customerId).trim()) {
+        return res.status(404).json({ error: 'Invitation not found' });
+      }
+      if (invitationStatus(invitation) !== 'pending') {
+        return res.status(409).json({ error: `Invitation is already ${invitationStatus(invitation)}` });
+      }
+
+      const revoked = await store.invitations.update(invitationId, { revoked_at: new Date().toISOString() });
+      return res.status(200).json({ success: true, invitation: presentInvitation(revoked) });
+    }
+
+    // PATCH and DELETE of a member
+    const userId = String((req.method === 'PATCH' ? req.body?.user_id : req.query.user_id || req.body?.user_id) ?? '').trim();
+    if (!userId) {
+      return res.status(400).json({ error: 'user_id is required' });
+    }
+
+    const members = await store.memberships.listForCustomer(customerId);
+    const target = members.find(member => String(member.user_id).trim() === userId);
+    if (!target) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (req.method === 'PATCH') {
+      const newRole = parseRole(req.body?.role);
+      requireCanChangeMember(membership, target, newRole, members);
+
+      await store.memberships.update(target.membership_id, { role: newRole });
+      console.log(`[INFO] ${user.user_id} made ${userId} ${newRole} on customer ${customerId}`);
+    } else {
+      requireCanChangeMember(membership, target, null, members);
+
+      await store.memberships.update(target.membership_id, { removed_at: new Date().toISOString() });
+      console.log(`[INFO] ${user.user_id} removed ${userId} from customer ${customerId}`);
+    }
+
+    return res.status(200).json({ success: true, members: await listMembers(store, customerId) });
+
+  } catch (error) {
+    console.error('Error managing team:', error);
+    return sendError(res, error, 'Failed to manage team');
+  }
+};
@@ -0,0 +1,152 @@
+// Vercel Serverless Function: /api/violation-status
+// GET  ?violation_id=...  -> the violation's effective status and the audit trail of
+//                            every scan's row for the same violation
+// POST { violation_id, status, reason?, assigned_to? } -> set its remediation status
+// Statuses: open, assigned (needs assigned_to), fixed, wont_fix (needs reason), false_positive
+// Statuses carry forward to later scans (see lib/remediation.js); setting open overrides
+// a carried status.
+
+const crypto = require('crypto');
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { REMEDIATION_STATUSES, applyRemediation, storedStatus } = require('../lib/remediation');
+const { violationKey } = require('../lib/lifecycle');
+const { requirePermission } = require('../lib/roles');
+
+// Load a violation only if its scan belongs to the customer
+async function findOwnedViolation(store, violationId, customerId) {
+  const violation = await store.violations.get(violationId);
+  if (!violation) return null;
+  const scan = await store.scans.getForCustomer(violation.scan_id, customerId);
+  return scan ? { violation, scan } : null;
+}
+
+// The violation with its effective status as of its scan, and the rows for the same
+// violation in all of the website's scans
+async function loadRemediation(store, violation, scan) {
+  const siteScans = await store.scans.listForCustomer(scan.customer_id, { websiteUrl: scan.website_url });
+  const index = siteScans.findIndex(s => String(s.scan_id).trim() === String(scan.scan_id).trim());
+  const history = siteScans.slice(Math.max(index, 0));
+  const siteViolations = await store.violations.listForScans(siteScans.map(s => s.scan_id));
+
+  const historyIds = new Set(history.map(s => String(s.scan_id).trim()));
+  const annotated = applyRemediation(history, siteViolations.filter(v => historyIds.has(String(v.scan_id).trim())));
+  const effective = annotated.find(v => String(v.violation_id).trim() === String(violation.violation_id).trim());
+
+  const key = violationKey(violation);
+  return { effective, rows: siteViolations.filter(v => violationKey(v) === key) };
+}
+
+// Audit entries of all the rows, oldest change first
+async function auditTrail(store, rows) {
+  const entries = [];
+  for (const row of rows) {
+    entries.push(...await store.violationAudit.listForViolation(row.violation_id));
+  }
+  return entries.sort((a, b) => new Date(a.changed_at) - new Date(b.changed_at));
+}
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const store = getStore();
+    const { customer, user, role } = await authenticate(req, store);
+
+    const violationId = req.method === 'GET' ? req.query.violation_id : req.body?.violation_id;
+    if (!violationId) {
+      return res.status(400).json({ error: 'violation_id is required' });
+    }
+
+    const owned = await findOwnedViolation(store, violationId, customer.customer_id);
+    if (!owned) {
+      return res.status(404).json({ error: 'Violation not found' });
+    }
+    const { violation } = owned;
+    const { effective, rows } = await loadRemediation(store, violation, owned.scan);
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        violation_id: violation.violation_id,
+        status: effective.status,
+        status_reason: effective.status_reason,
+        assigned_to: effective.assigned_to,
+        fixed_date: violation.fixed_date || '',
+        history: await auditTrail(store, rows),
+      });
+    }
+
+    requirePermission(role, 'triage_violations');
+
+    const { status } = req.body;
+    const reason = String(req.body.reason ?? '').trim();
+    const assignedTo = String(req.body.assigned_to ?? '').trim();
+
+    if (!REMEDIATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${REMEDIATION_STATUSES.join(', ')}` });
+    }
+    if (status === 'wont_fix' && !reason) {
+      return res.status(400).json({ error: 'A reason is required when marking a violation won\'t fix' });
+    }
+    if (status === 'assigned' && !assignedTo) {
+      return res.status(400).json({ error: 'assigned_to is required when assigning a violation' });
+    }
+
+    const now = new Date().toISOString();
+    const previousStatus = effective.status;
+
+    const fields = {
+      fixed_status: storedStatus(status),
+      fixed_date: status === 'fixed' ? now : '',
+    };
+    // status_reason and assigned_to are optional columns; only touch them when they
+    // exist or there is something to store
+    if (reason || violation.status_reason !== undefined) {
+      fields.status_reason = reason;
+    }
+    if (assignedTo || violation.assigned_to !== undefined) {
+      fields.assigned_to = assignedTo || (status === 'open' ? '' : violation.assigned_to || '');
+    }
+
+    const updated = await store.violations.update(violation.violation_id, fields);
+
+    await store.violationAudit.append({
+      audit_id: `AUD-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      violation_id: violation.violation_id,
+      customer_id: customer.customer_id,
+      scan_id: violation.scan_id,
+      status,
+      previous_status: previousStatus,
+      reason,
+      assigned_to: fields.assigned_to || '',
+      changed_by: user.email,
+      changed_at: now,
+    });
+
+    return res.status(200).json({
+      success: true,
+      violation_id: updated.violation_id,
+      status,
+      previous_status: previousStatus,
+      status_reason: reason,
+      assigned_to: fields.assigned_to || '',
+      fixed_date: fields.fixed_date,
+    });
+
+  } catch (error) {
+    console.error('Error updating violation status:', error);
+    return sendError(res, error, 'Failed to update violation status');
+  }
+};
@@ -0,0 +1,66 @@
+// Vercel Serverless Function: /api/webhooks/stripe
+// Receives Stripe webhook events and keeps the Subscriptions sheet and each customer's
+// plan in step with Stripe (see lib/stripe-webhooks.js for what each event does).
+// Requests must carry a valid Stripe-Signature for STRIPE_WEBHOOK_SECRET. Replay a
+// recorded event locally with scripts/replay-stripe-event.js.
+
+const { getStore } = require('../../lib/store');
+const { sendError } = require('../../lib/http');
+const { AuthError, ValidationError } = require('../../lib/errors');
+const { verifyStripeSignature, processStripeEvent } = require('../../lib/stripe-webhooks');
+
+// The signature covers the exact bytes Stripe sent, so read the request stream itself.
+// Touching req.body first would let Vercel's helpers parse (and consume) it. A body
+// that was already read is only usable if it was kept as a string or Buffer.
+async function readRawBody(req) {
+  if (typeof req[Symbol.asyncIterator] === 'function' && !req.readableEnded) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  if (typeof req.body === 'string') return req.body;
+  if (Buffer.isBuffer(req.body)) return req.body.toString('utf8');
+  throw new Error('The request body was parsed before its signature could be checked');
+}
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret) {
+      console.error('STRIPE_WEBHOOK_SECRET is not set');
+      throw new AuthError('Server configuration error', 'server_config', 500);
+    }
+
+    const payload = await readRawBody(req);
+    verifyStripeSignature(payload, req.headers?.['stripe-signature'], secret);
+
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch {
+      throw new ValidationError('Event body is not valid JSON');
+    }
+    if (!event.id || !event.type || !event.data?.object) {
+      throw new ValidationError('Not a Stripe event');
+    }
+
+    const outcome = await processStripeEvent(getStore(), event);
+    console.log(`[STRIPE] ${event.id} ${event.type}: ${outcome.duplicate ? 'duplicate' : outcome.result}`);
+
+    return res.status(200).json({ received: true, ...outcome });
+
+  } catch (error) {
+    console.error('Error handling Stripe webhook:', error);
+    // A non-2xx response makes Stripe retry the event later
+    return sendError(res, error, 'Failed to handle Stripe event');
+  }
+}
+
+module.exports = handler;
@@ -0,0 +1,86 @@
+// Vercel Serverless Function: /api/website-settings
+// GET   ?website_url=...     -> effective settings for one website (all websites when omitted)
+// PATCH { website_url, display_name?, pages_to_scan?, scan_frequency?, include_paths?,
+//         exclude_paths?, tags? }
+//                            -> change a website's settings; null or '' resets a field
+//                               to the account default
+
+const crypto = require('crypto');
+const { getStore } = require('../lib/store');
+const { sendError } = require('../lib/http');
+const { authenticate, CORS_ALLOW_HEADERS } = require('../lib/auth');
+const { parseWebsites } = require('../lib/websites');
+const { resolveSettings, settingsByWebsite, parseSettingsUpdate } = require('../lib/website-settings');
+const { requirePermission } = require('../lib/roles');
+
+module.exports = async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PATCH, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'PATCH'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const store = getStore();
+    const { customer, user, role } = await authenticate(req, store);
+    const customerId = customer.customer_id;
+    const websites = parseWebsites(customer.website_url);
+
+    const websiteUrl = String((req.method === 'GET' ? req.query.website_url : req.body?.website_url) ?? '').trim();
+    if (websiteUrl && !websites.includes(websiteUrl)) {
+      return res.status(400).json({ error: 'website_url must be one of your websites' });
+    }
+
+    if (req.method === 'GET') {
+      const records = await store.websiteSettings.listForCustomer(customerId);
+      const settings = settingsByWebsite(customer, websites, records);
+      return res.status(200).json(websiteUrl
+        ? { settings: settings[websiteUrl] }
+        : { websites: websites.map(url => settings[url]) });
+    }
+
+    // PATCH: create the website's row on its first change
+    requirePermission(role, 'manage_settings');
+    if (!websiteUrl) {
+      return res.status(400).json({ error: 'website_url is required' });
+    }
+
+    const fields = {
+      ...parseSettingsUpdate(req.body, customer),
+      updated_by: user.email,
+      updated_at: new Date().toISOString(),
+    };
+
+    const existing = await store.websiteSettings.getForWebsite(customerId, websiteUrl);
+    let record;
+    if (existing) {
+      record = await store.websiteSettings.update(existing.setting_id, fields);
+    } else {
+      record = await store.websiteSettings.append({
+        setting_id: `WS-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+        customer_id: customerId,
+        website_url: websiteUrl,
+        display_name: '',
+        pages_to_scan: '',
+        scan_frequency: '',
+        include_paths: [],
+        exclude_paths: [],
+        tags: [],
+        ...fields,
+      });
+    }
+
+    return res.status(200).json({ success: true, settings: resolveSettings(customer, websiteUrl, record) });
+
+  } catch (error) {
+    console.error('Error managing website settings:', error);
+    return sendError(res, error, 'Failed to manage website settings');
+  }
+};
@@ -0,0 +1,90 @@
+// Authentication shared by every API route
+// Every request carries the session JWT, either as "Authorization: Bearer <jwt>"
+// or as a `session` query/body parameter (for links and EventSource). The token's
+// signature, expiry and revocation are checked, and the user and customer are derived
+// from the verified token, never from request parameters. The user's membership on the
+// customer account gives their role (see lib/roles.js).
+
+const { verifyAndDecodeJWT } = require('./jwt');
+const { AuthError } = require('./errors');
+const { getStore } = require('./store');
+
+const CORS_ALLOW_HEADERS = 'Content-Type, Authorization';
+
+function getSessionToken(req) {
+  const header = req.headers?.authorization || req.headers?.Authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  return req.query?.session || req.body?.session || null;
+}
+
+async function getJwtSecret(store) {
+  const secret = await store.config.get('jwt_secret');
+  if (!secret) {
+    console.error('JWT_SECRET not found in Config sheet');
+    throw new AuthError('Server configuration error', 'server_config', 500);
+  }
+  return secret;
+}
+
+// Verify a session token and load its user, membership and customer.
+// Resolves to { customer, user, membership, role, claims, token }; rejects with an
+// AuthError otherwise.
+async function verifySession(token, store = getStore()) {
+  if (!token) {
+    throw new AuthError('Authentication required', 'auth_required');
+  }
+
+  const secret = await getJwtSecret(store);
+
+  let claims;
+  try {
+    claims = verifyAndDecodeJWT(token, secret);
+  } catch (error) {
+    throw new AuthError('Invalid session token', 'invalid_token');
+  }
+
+  // Sessions must expire; a token without exp is rejected rather than trusted forever
+  const now = Math.floor(Date.now() / 1000);
+  if (!claims.exp || claims.exp < now) {
+    throw new AuthError('Token expired', 'session_expired');
+  }
+
+  // Sessions from before team accounts have no user_id; those users sign in again
+  const user = claims.user_id ? await store.users.get(claims.user_id) : null;
+  if (!user) {
+    throw new AuthError('User not found', 'invalid_token');
+  }
+
+  // The sheet holds the one live session per user; anything else was revoked
+  if (user.session_token !== token) {
+    throw new AuthError('Session has been revoked or token mismatch', 'session_revoked');
+  }
+
+  // Removing someone from the team ends their access straight away
+  const membership = await store.memberships.getActive(claims.customer_id, user.user_id);
+  if (!membership) {
+    throw new AuthError('You are no longer a member of this account', 'session_revoked');
+  }
+
+  const customer = await store.customers.get(claims.customer_id);
+  if (!customer) {
+    throw new AuthError('Customer not found', 'invalid_token');
+  }
+
+  return { customer, user, membership, role: membership.role, claims, token };
+}
+
+// Authenticate an incoming request
+function authenticate(req, store = getStore()) {
+  return verifySession(getSessionToken(req), store);
+}
+
+module.exports = {
+  CORS_ALLOW_HEADERS,
+  authenticate,
+  verifySession,
+  getSessionToken,
+  getJwtSecret,
+};
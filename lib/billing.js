@@ -0,0 +1,91 @@
+// Subscription rules shared by the cancel, resume and change-plan endpoints
+// The payment provider (lib/payments.js) is the source of truth for billing periods;
+// the Subscriptions sheet is updated from what it returns, never from dates the
+// browser sends. A cancelled subscription keeps status 'cancelled' with cancelled_date
+// set to the day access ends, until it is resumed or the period runs out.
+
+const { ConflictError, PaymentProviderError, ValidationError } = require('./errors');
+const { parseWebsites } = require('./websites');
+const { SUBSCRIPTION_PLANS, entitlementsFor } = require('./entitlements');
+
+// Plans change-plan accepts; free means cancelling the subscription
+const PLANS = ['free', ...SUBSCRIPTION_PLANS];
+
+function isoDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+// Access runs to the end of the period's last day
+function accessEndDate(periodEnd) {
+  const date = new Date(periodEnd);
+  date.setDate(date.getDate() + 1);
+  return isoDate(date);
+}
+
+// The provider's subscription must have a sane, unexpired period before we change it
+function checkPeriod(providerSubscription, now = new Date()) {
+  const start = new Date(providerSubscription.current_period_start);
+  const end = new Date(providerSubscription.current_period_end);
+
+  if (Number.isNaN(end.getTime()) || Number.isNaN(start.getTime()) || end < start) {
+    throw new PaymentProviderError('Payment provider returned an invalid billing period');
+  }
+  if (providerSubscription.status === 'canceled' || end <= now) {
+    throw new ConflictError('This subscription has already ended', 'subscription_ended');
+  }
+}
+
+// Subscriptions sheet fields for the provider's view of the subscription
+function subscriptionFields(providerSubscription) {
+  const cancelling = providerSubscription.cancel_at_period_end || providerSubscription.status === 'canceled';
+  const status = ['active', 'trialing'].includes(providerSubscription.status)
+    ? 'active'
+    : providerSubscription.status;
+
+  return {
+    status: cancelling ? 'cancelled' : status,
+    current_period_start: providerSubscription.current_period_start,
+    current_period_end: providerSubscription.current_period_end,
+    cancelled_date: cancelling ? accessEndDate(providerSubscription.current_period_end) : '',
+  };
+}
+
+// The plan a customer is on: their subscription's, else the account's
+function currentPlan(customer, subscription) {
+  return String(subscription?.plan || customer.plan || 'free').toLowerCase();
+}
+
+// Throws unless the customer can move from their current plan to `plan` in place.
+// Moving to free is a cancellation and is handled by the caller.
+function checkPlanChange(customer, subscription, plan) {
+  if (!PLANS.includes(plan)) {
+    throw new ValidationError(`plan must be one of: ${PLANS.join(', ')}`);
+  }
+
+  const from = currentPlan(customer, subscription);
+  if (from === plan) {
+    throw new ConflictError(`You are already on the ${plan} plan`, 'same_plan');
+  }
+  if (plan !== 'free' && (!subscription || !SUBSCRIPTION_PLANS.includes(from))) {
+    throw new ConflictError('Subscribe through checkout to choose a paid plan', 'checkout_required');
+  }
+
+  // Downgrading needs the website list to fit the new plan first
+  const websites = parseWebsites(customer.website_url);
+  const limit = entitlementsFor(plan).max_websites;
+  if (websites.length > limit) {
+    throw new ConflictError(
+      `The ${plan} plan covers ${limit} website${limit === 1 ? '' : 's'}; remove ${websites.length - limit} before switching`,
+      'too_many_websites'
+    );
+  }
+}
+
+module.exports = {
+  PLANS,
+  accessEndDate,
+  checkPeriod,
+  subscriptionFields,
+  currentPlan,
+  checkPlanChange,
+};
@@ -0,0 +1,172 @@
+// What each plan includes
+// Every plan rule the API enforces and the dashboards display is read from here, so a
+// new tier is a new entry below (plus a Stripe price, see lib/payments.js) rather than
+// another round of `plan === '...'` checks.
+//
+//   label                     name shown to customers
+//   subscription              billed monthly through the payment provider
+//   paid                      bought at all (guest scans are paid one at a time)
+//   monthly_price             recorded as mrr_amount
+//   max_websites              websites on the account
+//   max_pages                 pages per scan; an account's pages_to_scan can lower it
+//   scan_frequencies          schedules a website can choose; [] means one-off scans only
+//   on_demand_scans_per_day   rolling 24 hours, across all the account's websites
+//   on_demand_scans_per_month rolling 30 days
+//   ai_analysis               'none', 'summary' (overall summary) or 'full' (also priority fixes)
+//   history_days              days of scan history before the latest scan; null for all of it
+//   exports                   report formats (see lib/report.js)
+//   multi_site_dashboard      uses professional.html, with the portfolio overview
+
+const { PlanLimitError } = require('./errors');
+const { MAX_WEBSITES } = require('./websites');
+
+const PLAN_ENTITLEMENTS = {
+  free: {
+    label: 'Free',
+    subscription: false,
+    paid: false,
+    monthly_price: 0,
+    max_websites: 1,
+    max_pages: 5,
+    scan_frequencies: [],
+    on_demand_scans_per_day: 0,
+    on_demand_scans_per_month: 0,
+    ai_analysis: 'none',
+    history_days: 30,
+    exports: ['html'],
+    multi_site_dashboard: false,
+  },
+  guest: {
+    label: 'Single Scan',
+    subscription: false,
+    paid: true,
+    monthly_price: 0,
+    max_websites: 1,
+    max_pages: 25,
+    scan_frequencies: [],
+    on_demand_scans_per_day: 0,
+    on_demand_scans_per_month: 0,
+    ai_analysis: 'full',
+    history_days: 90,
+    exports: ['html', 'csv', 'json'],
+    multi_site_dashboard: false,
+  },
+  essentials: {
+    label: 'Essentials',
+    subscription: true,
+    paid: true,
+    monthly_price: 49,
+    max_websites: 1,
+    max_pages: 25,
+    scan_frequencies: ['weekly', 'monthly'],
+    on_demand_scans_per_day: 3,
+    on_demand_scans_per_month: 30,
+    ai_analysis: 'full',
+    history_days: 365,
+    exports: ['html', 'csv', 'json'],
+    multi_site_dashboard: false,
+  },
+  professional: {
+    label: 'Professional',
+    subscription: true,
+    paid: true,
+    monthly_price: 149,
+    max_websites: MAX_WEBSITES,
+    max_pages: 100,
+    scan_frequencies: ['daily', 'weekly', 'monthly'],
+    on_demand_scans_per_day: 10,
+    on_demand_scans_per_month: 150,
+    ai_analysis: 'full',
+    history_days: null,
+    exports: ['html', 'csv', 'json'],
+    multi_site_dashboard: true,
+  },
+};
+
+// Plans a customer can subscribe to, cheapest first
+const SUBSCRIPTION_PLANS = Object.keys(PLAN_ENTITLEMENTS)
+  .filter(plan => PLAN_ENTITLEMENTS[plan].subscription)
+  .sort((a, b) => PLAN_ENTITLEMENTS[a].monthly_price - PLAN_ENTITLEMENTS[b].monthly_price);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizePlan(plan) {
+  const name = String(plan ?? '').trim().toLowerCase();
+  return PLAN_ENTITLEMENTS[name] ? name : 'free';
+}
+
+// Entitlements for a plan name; unknown or blank plans get the free tier's
+function entitlementsFor(plan) {
+  const name = normalizePlan(plan);
+  return { plan: name, ...PLAN_ENTITLEMENTS[name] };
+}
+
+function scanTime(scan) {
+  return new Date(scan.scan_date).getTime();
+}
+
+// Earliest scan time the plan's history depth covers, counted back from the latest of
+// `scans` so an account that hasn't scanned lately still sees its last results.
+// null when nothing is cut off.
+function historyStart(entitlements, scans) {
+  if (entitlements.history_days === null) return null;
+  const latest = Math.max(...scans.map(scanTime).filter(time => !Number.isNaN(time)));
+  return Number.isFinite(latest) ? latest - entitlements.history_days * DAY_MS : null;
+}
+
+// Whether `scan` is within the history depth of the website's `scans`
+function inHistory(entitlements, scan, scans) {
+  const start = historyStart(entitlements, scans);
+  return start === null || !(scanTime(scan) < start);
+}
+
+// The scans the plan's history depth covers, in their original order
+function withinHistory(entitlements, scans) {
+  const start = historyStart(entitlements, scans);
+  return start === null ? scans : scans.filter(scan => !(scanTime(scan) < start));
+}
+
+// Throws PlanLimitError for a scan older than the plan's history depth
+function requireInHistory(entitlements, scan, scans) {
+  if (!inHistory(entitlements, scan, scans)) {
+    throw new PlanLimitError(
+      `Your plan includes ${entitlements.history_days} days of scan history`,
+      'history_limit'
+    );
+  }
+}
+
+// Throws PlanLimitError for a report format the plan can't export
+function requireExport(entitlements, format) {
+  if (!entitlements.exports.includes(format)) {
+    throw new PlanLimitError(`Your plan does not include ${format.toUpperCase()} exports`, 'export_not_included');
+  }
+}
+
+// A scan's ai_analysis cut down to what the plan includes. It is JSON in the current
+// ({ overall_summary, ... }) or legacy ({ summary, ... }) format; plain text is all summary.
+function aiAnalysisFor(entitlements, analysis) {
+  if (!analysis || entitlements.ai_analysis === 'none') return '';
+  if (entitlements.ai_analysis === 'full') return analysis;
+
+  let parsed;
+  try {
+    parsed = typeof analysis === 'string' ? JSON.parse(analysis) : analysis;
+  } catch {
+    return analysis;
+  }
+  const summary = parsed?.overall_summary || parsed?.summary;
+  return summary ? JSON.stringify({ overall_summary: summary }) : '';
+}
+
+module.exports = {
+  PLAN_ENTITLEMENTS,
+  SUBSCRIPTION_PLANS,
+  normalizePlan,
+  entitlementsFor,
+  inHistory,
+  withinHistory,
+  requireInHistory,
+  requireExport,
+  aiAnalysisFor,
+};
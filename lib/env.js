@@ -0,0 +1,35 @@
+// Which environment the code is running in, and the dashboard's public URL
+// Vercel sets VERCEL_ENV to production, preview or development. Without it (npx serve,
+// scripts) NODE_ENV decides, and anything but NODE_ENV=production is development.
+
+// Where `vercel dev` and `npx serve` listen
+const LOCAL_DASHBOARD_URL = 'http://localhost:3000';
+
+function vercelEnv() {
+  return String(process.env.VERCEL_ENV || '').toLowerCase();
+}
+
+function isProduction() {
+  const env = vercelEnv();
+  return env ? env === 'production' : process.env.NODE_ENV === 'production';
+}
+
+function isDevelopment() {
+  const env = vercelEnv();
+  return env ? env === 'development' : process.env.NODE_ENV !== 'production';
+}
+
+// Base URL for links in emails and for callbacks, without a trailing slash. Taken from
+// DASHBOARD_URL, never from the request's Host header, which the client controls.
+function dashboardUrl() {
+  const url = String(process.env.DASHBOARD_URL || '').trim().replace(/\/+$/, '');
+  if (url) return url;
+  if (isDevelopment()) return LOCAL_DASHBOARD_URL;
+  throw new Error('DASHBOARD_URL is required outside development');
+}
+
+module.exports = {
+  isProduction,
+  isDevelopment,
+  dashboardUrl,
+};
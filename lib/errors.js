@@ -0,0 +1,93 @@
+// Shared error types for the API layer
+// Handlers map `status` onto the HTTP response; anything without one is a 500.
+
+class RecordNotFoundError extends Error {
+  constructor(sheet, match) {
+    super(`No ${sheet} record matches ${JSON.stringify(match)}`);
+    this.name = 'RecordNotFoundError';
+    this.status = 404;
+  }
+}
+
+// A sheet is missing a column the code depends on (renamed, deleted or misspelled header)
+class SchemaMismatchError extends Error {
+  constructor(sheet, missingColumns) {
+    super(`Schema mismatch: ${sheet} sheet is missing required column(s): ${missingColumns.join(', ')}`);
+    this.name = 'SchemaMismatchError';
+    this.status = 500;
+    this.code = 'schema_mismatch';
+    this.sheet = sheet;
+    this.missingColumns = missingColumns;
+  }
+}
+
+// The request has no valid session: missing, forged, expired or revoked token
+class AuthError extends Error {
+  constructor(message, code = 'auth_required', status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// The request itself is malformed: unknown filter value, bad cursor and the like
+class ValidationError extends Error {
+  constructor(message, code = 'invalid_request') {
+    super(message);
+    this.name = 'ValidationError';
+    this.status = 400;
+    this.code = code;
+  }
+}
+
+// A conditional write found the record changed since it was read
+class ConflictError extends Error {
+  constructor(message, code = 'conflict') {
+    super(message);
+    this.name = 'ConflictError';
+    this.status = 409;
+    this.code = code;
+  }
+}
+
+// The signed-in user's role on the account doesn't allow the action (see lib/roles.js)
+class ForbiddenError extends Error {
+  constructor(message, code = 'insufficient_role') {
+    super(message);
+    this.name = 'ForbiddenError';
+    this.status = 403;
+    this.code = code;
+  }
+}
+
+// The customer's plan doesn't include what was asked for (see lib/entitlements.js)
+class PlanLimitError extends Error {
+  constructor(message, code = 'plan_limit') {
+    super(message);
+    this.name = 'PlanLimitError';
+    this.status = 403;
+    this.code = code;
+  }
+}
+
+// The payment provider refused or failed a request
+class PaymentProviderError extends Error {
+  constructor(message, code = 'payment_provider_error', status = 502) {
+    super(message);
+    this.name = 'PaymentProviderError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+module.exports = {
+  AuthError,
+  ConflictError,
+  ForbiddenError,
+  PaymentProviderError,
+  PlanLimitError,
+  ValidationError,
+  RecordNotFoundError,
+  SchemaMismatchError,
+};
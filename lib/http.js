@@ -0,0 +1,36 @@
+// Shared response helpers for the API handlers
+
+// Send an error raised anywhere below a handler.
+// Errors carrying a `status` (auth, validation, not found, schema mismatch) are reported as-is;
+// anything else is an unexpected failure and gets the handler's fallback message.
+function sendError(res, error, fallbackMessage, extra = {}) {
+  if (error.code === 'schema_mismatch') {
+    console.error(error.message);
+    return res.status(500).json({
+      error: 'Sheet schema mismatch',
+      code: error.code,
+      sheet: error.sheet,
+      missing_columns: error.missingColumns,
+      details: error.message,
+      ...extra,
+    });
+  }
+
+  if (error.status) {
+    return res.status(error.status).json({
+      error: error.message,
+      ...(error.code ? { code: error.code } : {}),
+      ...extra,
+    });
+  }
+
+  return res.status(500).json({
+    error: fallbackMessage,
+    details: error.message,
+    ...extra,
+  });
+}
+
+module.exports = {
+  sendError,
+};
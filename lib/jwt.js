@@ -0,0 +1,64 @@
+// HS256 JSON Web Tokens used for dashboard sessions
+
+const crypto = require('crypto');
+
+function base64UrlSignature(input, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(input)
+    .digest('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+function base64UrlJson(value) {
+  return Buffer.from(JSON.stringify(value))
+    .toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+function signJWT(payload, secret) {
+  const headerB64 = base64UrlJson({ alg: 'HS256', typ: 'JWT' });
+  const payloadB64 = base64UrlJson(payload);
+  return `${headerB64}.${payloadB64}.${base64UrlSignature(headerB64 + '.' + payloadB64, secret)}`;
+}
+
+// JWT decoder with signature verification
+function verifyAndDecodeJWT(token, secret) {
+  try {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+      throw new Error('Invalid JWT format');
+    }
+
+    const [headerB64, payloadB64, signatureB64] = parts;
+
+    // Verify signature (constant-time compare so the signature can't be guessed byte by byte)
+    const expectedSignature = base64UrlSignature(headerB64 + '.' + payloadB64, secret);
+    const expected = Buffer.from(expectedSignature);
+    const actual = Buffer.from(signatureB64);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new Error('Invalid JWT signature');
+    }
+
+    // Decode payload
+    const payloadJson = Buffer.from(
+      payloadB64.replace(/-/g, '+').replace(/_/g, '/'),
+      'base64'
+    ).toString('utf8');
+
+    return JSON.parse(payloadJson);
+  } catch (error) {
+    throw new Error('Failed to verify JWT: ' + error.message);
+  }
+}
+
+module.exports = {
+  signJWT,
+  verifyAndDecodeJWT,
+  base64UrlSignature,
+};
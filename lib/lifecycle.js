@@ -0,0 +1,101 @@
+// Violation lifecycle across scans
+// A violation is "the same" in two scans when rule_id, page_url and element_selector
+// all match. Comparing the latest scan with the one before it labels each violation:
+//   new         - first time we've seen it
+//   persisting  - also present in the previous scan
+//   regressed   - absent from the previous scan but seen in an earlier one (it came back)
+//   fixed       - present in the previous scan, gone from the latest
+
+const LIFECYCLE_STATUSES = ['new', 'persisting', 'regressed', 'fixed'];
+
+function violationKey(violation) {
+  return [violation.rule_id, violation.page_url, violation.element_selector]
+    .map(part => String(part ?? '').trim())
+    .join('|');
+}
+
+function groupByScan(violations) {
+  const byScan = new Map();
+  violations.forEach(violation => {
+    const scanId = String(violation.scan_id ?? '').trim();
+    if (!byScan.has(scanId)) byScan.set(scanId, []);
+    byScan.get(scanId).push(violation);
+  });
+  return byScan;
+}
+
+// scans: one website's scans, latest first (as returned by store.scans.listForCustomer)
+// violations: violations for any of those scans
+// Returns the latest scan's violations annotated with lifecycle fields, the violations
+// fixed since the previous scan, and a count summary.
+function trackLifecycle(scans, violations) {
+  const byScan = groupByScan(violations);
+  const violationsFor = scan => byScan.get(String(scan.scan_id ?? '').trim()) || [];
+
+  const [latestScan, previousScan] = scans;
+  const summary = {
+    new: 0,
+    persisting: 0,
+    regressed: 0,
+    fixed: 0,
+    compared_to: previousScan
+      ? { scan_id: previousScan.scan_id, scan_date: previousScan.scan_date }
+      : null,
+  };
+
+  if (!latestScan) {
+    return { violations: [], fixed: [], summary };
+  }
+
+  // First-seen date for every key, oldest scan first
+  const firstSeen = new Map();
+  scans.slice(1).reverse().forEach(scan => {
+    violationsFor(scan).forEach(violation => {
+      const key = violationKey(violation);
+      if (!firstSeen.has(key)) firstSeen.set(key, scan.scan_date);
+    });
+  });
+
+  const previousKeys = new Set(previousScan ? violationsFor(previousScan).map(violationKey) : []);
+  const latestKeys = new Set();
+
+  const annotated = violationsFor(latestScan).map(violation => {
+    const key = violationKey(violation);
+    latestKeys.add(key);
+
+    let status = 'new';
+    if (previousKeys.has(key)) {
+      status = 'persisting';
+    } else if (firstSeen.has(key)) {
+      status = 'regressed';
+    }
+    summary[status]++;
+
+    return {
+      ...violation,
+      lifecycle_status: status,
+      first_seen: firstSeen.get(key) || latestScan.scan_date,
+    };
+  });
+
+  // Anything in the previous scan that didn't come back was fixed by the latest scan
+  const fixed = previousScan
+    ? violationsFor(previousScan)
+        .filter(violation => !latestKeys.has(violationKey(violation)))
+        .map(violation => ({
+          ...violation,
+          lifecycle_status: 'fixed',
+          first_seen: firstSeen.get(violationKey(violation)) || previousScan.scan_date,
+          fixed_date: latestScan.scan_date,
+        }))
+    : [];
+  summary.fixed = fixed.length;
+
+  return { violations: annotated, fixed, summary };
+}
+
+module.exports = {
+  LIFECYCLE_STATUSES,
+  violationKey,
+  trackLifecycle,
+};
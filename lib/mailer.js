@@ -0,0 +1,75 @@
+// Outbound email, behind a pluggable transport
+// MAILER=console logs messages, which is what you want in local development, where it
+// is the default. Deployments must set MAILER, and production refuses console: the
+// messages hold live reset and invitation tokens.
+// MAILER=webhook POSTs { to, subject, text, html } as JSON to MAILER_WEBHOOK_URL,
+// e.g. an n8n workflow that owns the real email provider.
+
+const { isDevelopment, isProduction } = require('./env');
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log('[MAIL] To:', message.to);
+      console.log('[MAIL] Subject:', message.subject);
+      console.log(message.text);
+      return { delivered: true };
+    },
+  };
+}
+
+function createWebhookTransport(url = process.env.MAILER_WEBHOOK_URL) {
+  if (!url) {
+    throw new Error('MAILER_WEBHOOK_URL is required when MAILER=webhook');
+  }
+
+  return {
+    name: 'webhook',
+    async send(message) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(message),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Mail webhook responded ${response.status}`);
+      }
+      return { delivered: true };
+    },
+  };
+}
+
+let transport = null;
+
+function getMailer() {
+  if (!transport) {
+    const mailer = process.env.MAILER || (isDevelopment() ? 'console' : '');
+    if (mailer === 'webhook') {
+      transport = createWebhookTransport();
+    } else if (mailer === 'console' && !isProduction()) {
+      transport = createConsoleTransport();
+    } else {
+      throw new Error(`MAILER is ${mailer ? `"${mailer}"` : 'not set'}; set MAILER=webhook${isProduction() ? '' : ' or MAILER=console'}`);
+    }
+  }
+  return transport;
+}
+
+// Tests and scripts can swap the transport, e.g. to capture messages
+function setMailer(customTransport) {
+  transport = customTransport;
+}
+
+function sendMail(message) {
+  return getMailer().send(message);
+}
+
+module.exports = {
+  sendMail,
+  getMailer,
+  setMailer,
+  createConsoleTransport,
+  createWebhookTransport,
+};
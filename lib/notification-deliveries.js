@@ -0,0 +1,300 @@
+// Notification delivery: signed webhooks and email, with retries
+// Each notification becomes one Notification Deliveries row per recipient (the
+// customer's webhook_url and each of their email_recipients), which doubles as the
+// delivery log. A failed attempt is retried with backoff, RETRY_DELAYS_MINUTES apart;
+// after the last one the row is marked failed. /api/retry-notifications runs the due
+// retries on a schedule, and customers can redeliver a row themselves.
+//
+// Webhooks are POSTed as JSON with these headers:
+//   X-ADA-Event        the event type
+//   X-ADA-Delivery     the delivery_id; the same on every retry of a delivery
+//   X-ADA-Signature    t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>"> keyed
+//                      with the customer's webhook_secret
+// Any 2xx response counts as delivered. Redirects aren't followed; a 3xx is a failed
+// attempt. Webhooks are never sent to private or internal addresses: the address is
+// checked as the connection is made, so a hostname that resolves (or is rebound) to
+// one between attempts, or between a check and the request, is refused.
+// Email goes through lib/mailer.js.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const { ConflictError } = require('./errors');
+const { sendMail } = require('./mailer');
+
+// Wait after the 1st, 2nd, ... failed attempt; one more attempt than delays in all
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// An attempt claims its row for this long, so two instances retrying at once don't
+// both send it
+const CLAIM_MS = 2 * 60 * 1000;
+
+const MAX_LISTED_IN_EMAIL = 10;
+
+// Loopback, private, link-local, carrier-grade NAT and other non-public ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const INTERNAL_HOSTNAME = /(^|\.)(localhost|local|internal|intranet|lan|home\.arpa)$/i;
+
+// True for a hostname (or IP literal) that names a private or internal host
+function isPrivateHost(hostname) {
+  const host = String(hostname ?? '').trim().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  const family = net.isIP(host);
+  if (family) return PRIVATE_RANGES.check(host, family === 6 ? 'ipv6' : 'ipv4');
+  return !host.includes('.') || INTERNAL_HOSTNAME.test(host);
+}
+
+// dns.lookup for webhook connections: fails if the hostname resolves to any private
+// address. The socket connects to what this returns, so nothing can change in between.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address, family }) => PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+      return callback(new Error('Webhook URL points to a private or internal address'));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POST body to an https URL through publicLookup, without following redirects.
+// Resolves to the response status.
+function postWebhook(url, headers, body) {
+  const signal = AbortSignal.timeout(WEBHOOK_TIMEOUT_MS);
+  return new Promise((resolve, reject) => {
+    const request = https.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      signal,
+    }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', error => reject(signal.aborted ? signal.reason : error));
+    request.end(body);
+  });
+}
+
+function signPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`, 'utf8').digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Add a pending delivery for each of the customer's recipients; nothing is sent yet
+async function createDeliveries(store, customerId, settings, event) {
+  const targets = [
+    ...(settings.webhook_url ? [{ channel: 'webhook', target: settings.webhook_url }] : []),
+    ...settings.email_recipients.map(address => ({ channel: 'email', target: address })),
+  ];
+
+  const now = new Date().toISOString();
+  const payload = JSON.stringify(event);
+  const deliveries = [];
+  for (const { channel, target } of targets) {
+    deliveries.push(await store.notificationDeliveries.append({
+      delivery_id: `NTF-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      customer_id: customerId,
+      event_id: event.id,
+      event_type: event.type,
+      channel,
+      target,
+      status: 'pending',
+      attempts: 0,
+      response_status: '',
+      error: '',
+      next_attempt_at: now,
+      created_at: now,
+      delivered_at: '',
+      payload,
+    }));
+  }
+  return deliveries;
+}
+
+function siteName(event) {
+  return event.data?.website_url || 'your website';
+}
+
+// Plain-text email for an event
+function formatEmail(event) {
+  const data = event.data || {};
+  const scan = data.scan || {};
+  const lines = [];
+  let subject;
+
+  switch (event.type) {
+    case 'scan.completed':
+      subject = `Accessibility scan finished for ${siteName(event)}: score ${scan.compliance_score}`;
+      lines.push(
+        `The scan of ${siteName(event)} on ${scan.scan_date} has finished.`,
+        '',
+        `Score: ${scan.compliance_score}${data.previous_score !== null ? ` (previous scan: ${data.previous_score})` : ''}`,
+        `Violations: ${scan.total_violations} (${scan.critical_count} critical, ${scan.serious_count} serious)`
+      );
+      break;
+    case 'score.below_threshold':
+      subject = `Accessibility score for ${siteName(event)} fell to ${scan.compliance_score}`;
+      lines.push(`The latest scan of ${siteName(event)} scored ${scan.compliance_score}, below your alert threshold of ${data.threshold}.`);
+      if (data.previous_score !== null) {
+        lines.push(`The previous scan scored ${data.previous_score}.`);
+      }
+      break;
+    case 'violations.new_critical':
+      subject = `${data.count} new critical accessibility issue${data.count === 1 ? '' : 's'} on ${siteName(event)}`;
+      lines.push(`The latest scan of ${siteName(event)} found ${data.count} critical violation${data.count === 1 ? '' : 's'} that weren't there before:`, '');
+      (data.violations || []).slice(0, MAX_LISTED_IN_EMAIL).forEach(v => {
+        lines.push(`- ${v.rule_id}: ${v.description}`, `  ${v.page_url}${v.element_selector ? ` (${v.element_selector})` : ''}`);
+      });
+      if (data.count > MAX_LISTED_IN_EMAIL) {
+        lines.push(`...and ${data.count - MAX_LISTED_IN_EMAIL} more.`);
+      }
+      break;
+    default:
+      subject = 'Test notification from the ADA Compliance Dashboard';
+      lines.push('Your notification settings work. Alerts about your scans will arrive here.');
+  }
+
+  if (event.dashboard_url) {
+    lines.push('', `Open your dashboard: ${event.dashboard_url}`);
+  }
+  lines.push('', 'You get these emails because of the notification settings on your dashboard account.');
+
+  return { subject, text: lines.join('\n') };
+}
+
+async function sendWebhook(delivery, secret) {
+  if (!secret) {
+    return { ok: false, error: 'No webhook secret configured' };
+  }
+
+  const url = new URL(delivery.target);
+  if (url.protocol !== 'https:') {
+    return { ok: false, error: 'Webhook URL must use https' };
+  }
+  // IP literals never go through the lookup
+  if (isPrivateHost(url.hostname)) {
+    return { ok: false, error: 'Webhook URL points to a private or internal address' };
+  }
+
+  const status = await postWebhook(url, {
+    'Content-Type': 'application/json',
+    'User-Agent': 'ADA-Compliance-Dashboard-Webhooks',
+    'X-ADA-Event': delivery.event_type,
+    'X-ADA-Delivery': delivery.delivery_id,
+    'X-ADA-Signature': signPayload(delivery.payload, secret),
+  }, delivery.payload);
+
+  if (status >= 200 && status < 300) {
+    return { ok: true, response_status: status };
+  }
+  return {
+    ok: false,
+    response_status: status,
+    error: status >= 300 && status < 400 ? `Responded ${status}; redirects are not followed` : `Responded ${status}`,
+  };
+}
+
+async function sendEmail(delivery) {
+  const { subject, text } = formatEmail(JSON.parse(delivery.payload));
+  await sendMail({ to: delivery.target, subject, text });
+  return { ok: true };
+}
+
+// One attempt at a delivery. Returns the updated row, or null if another instance
+// claimed it first.
+async function attemptDelivery(store, delivery) {
+  const started = Date.now();
+  try {
+    await store.notificationDeliveries.update(delivery.delivery_id, {
+      next_attempt_at: new Date(started + CLAIM_MS).toISOString(),
+    }, {
+      expect: { status: delivery.status, attempts: delivery.attempts, next_attempt_at: delivery.next_attempt_at },
+    });
+  } catch (error) {
+    if (error instanceof ConflictError) return null;
+    throw error;
+  }
+
+  let outcome;
+  try {
+    if (delivery.channel === 'webhook') {
+      const settings = await store.notificationSettings.getForCustomer(delivery.customer_id);
+      outcome = await sendWebhook(delivery, settings?.webhook_secret);
+    } else {
+      outcome = await sendEmail(delivery);
+    }
+  } catch (error) {
+    outcome = { ok: false, error: error.name === 'TimeoutError' ? 'Timed out' : error.message };
+  }
+
+  const attempts = delivery.attempts + 1;
+  const now = new Date();
+  if (outcome.ok) {
+    return store.notificationDeliveries.update(delivery.delivery_id, {
+      status: 'delivered',
+      attempts,
+      response_status: outcome.response_status || '',
+      error: '',
+      next_attempt_at: '',
+      delivered_at: now.toISOString(),
+    });
+  }
+
+  const delay = RETRY_DELAYS_MINUTES[attempts - 1];
+  console.error(`[NOTIFY] Delivery ${delivery.delivery_id} to ${delivery.target} failed (attempt ${attempts}): ${outcome.error}`);
+  return store.notificationDeliveries.update(delivery.delivery_id, {
+    status: delay === undefined ? 'failed' : 'pending',
+    attempts,
+    response_status: outcome.response_status || '',
+    error: String(outcome.error || '').slice(0, 500),
+    next_attempt_at: delay === undefined ? '' : new Date(now.getTime() + delay * 60 * 1000).toISOString(),
+  });
+}
+
+// Attempt deliveries one after another; resolves to the rows this instance updated
+async function attemptDeliveries(store, deliveries) {
+  const results = [];
+  for (const delivery of deliveries) {
+    const updated = await attemptDelivery(store, delivery);
+    if (updated) results.push(updated);
+  }
+  return results;
+}
+
+// Run the retries that are due, oldest first
+async function retryDueDeliveries(store, { limit = 25 } = {}) {
+  const due = await store.notificationDeliveries.listDue();
+  return attemptDeliveries(store, due.slice(0, limit));
+}
+
+// Send a delivery again now, whatever its state; a failed one gets one more attempt
+async function redeliver(store, delivery) {
+  const reset = await store.notificationDeliveries.update(delivery.delivery_id, {
+    status: 'pending',
+    next_attempt_at: new Date().toISOString(),
+  });
+  const [updated] = await attemptDeliveries(store, [reset]);
+  return updated || reset;
+}
+
+module.exports = {
+  RETRY_DELAYS_MINUTES,
+  isPrivateHost,
+  signPayload,
+  formatEmail,
+  createDeliveries,
+  attemptDeliveries,
+  retryDueDeliveries,
+  redeliver,
+};
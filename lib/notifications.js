@@ -0,0 +1,270 @@
+// Scan notifications: which events a finished scan raises, and for whom
+// Each customer has at most one Notification Settings row. Without one nothing is sent.
+// When a scan finishes, its website's scans go through the same view the dashboards
+// use (lib/scan-view.js), so "new critical violations" and the score mean the same
+// thing in an alert as on screen. Events:
+//   scan.completed           every finished scan, if notify_scan_complete
+//   score.below_threshold    the score drops under score_threshold (only when it
+//                            crosses it, not on every scan that stays under)
+//   violations.new_critical  critical violations that are new or regressed
+// Event ids are derived from the scan, so a scan seen twice notifies once.
+// /api/retry-notifications picks up every new Scan Summary row, whether it came from a
+// scheduled scan or an on-demand one (notifyRecentScans). Delivery is
+// lib/notification-deliveries.js.
+
+const crypto = require('crypto');
+const { ValidationError } = require('./errors');
+const { buildScanView } = require('./scan-view');
+const { activeSuppressions } = require('./suppressions');
+const { createDeliveries, attemptDeliveries, isPrivateHost } = require('./notification-deliveries');
+
+const NOTIFICATION_EVENTS = ['scan.completed', 'score.below_threshold', 'violations.new_critical'];
+
+const MAX_RECIPIENTS = 10;
+const MAX_LISTED_VIOLATIONS = 20;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Scans older than this are never notified about, so turning notifications on (or the
+// cron catching up after an outage) doesn't alert about old scans
+const NOTIFY_WINDOW_HOURS = 24;
+
+// Fields a customer may change, in the order they are returned
+const NOTIFICATION_FIELDS = ['notify_scan_complete', 'score_threshold', 'notify_new_critical', 'email_recipients', 'webhook_url'];
+
+function newWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Settings as returned to the customer; defaults when they have no row yet
+function resolveNotificationSettings(customer, record = null) {
+  return {
+    notify_scan_complete: record ? record.notify_scan_complete : false,
+    score_threshold: record?.score_threshold || null,
+    notify_new_critical: record ? record.notify_new_critical : false,
+    email_recipients: record ? record.email_recipients : [customer.email].filter(Boolean),
+    webhook_url: record?.webhook_url || '',
+    webhook_secret: record?.webhook_secret || '',
+    customized: Boolean(record),
+    updated_at: record?.updated_at || null,
+  };
+}
+
+function toFlag(value, field) {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === 'false') return value === 'true';
+  throw new ValidationError(`${field} must be true or false`);
+}
+
+function parseRecipients(value) {
+  if (value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[,\n]/) : null;
+  if (!list) {
+    throw new ValidationError('email_recipients must be a list');
+  }
+
+  const recipients = [...new Set(list.map(item => String(item ?? '').trim().toLowerCase()).filter(Boolean))];
+  if (recipients.length > MAX_RECIPIENTS) {
+    throw new ValidationError(`email_recipients can have at most ${MAX_RECIPIENTS} addresses`);
+  }
+  recipients.forEach(address => {
+    if (!EMAIL_PATTERN.test(address)) {
+      throw new ValidationError(`Not an email address: ${address}`);
+    }
+  });
+  return recipients;
+}
+
+function parseWebhookUrl(value) {
+  const url = String(value ?? '').trim();
+  if (!url) return '';
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new ValidationError('webhook_url must be a URL');
+  }
+  if (parsed.protocol !== 'https:') {
+    throw new ValidationError('webhook_url must use https');
+  }
+  if (isPrivateHost(parsed.hostname)) {
+    throw new ValidationError('webhook_url must be a public address, not a private or internal host');
+  }
+  return url;
+}
+
+// Validate the fields present in an update body; absent fields are left unchanged.
+// `rotate_secret: true` issues a new webhook signing secret. Throws ValidationError.
+function parseNotificationUpdate(body) {
+  const fields = {};
+
+  ['notify_scan_complete', 'notify_new_critical'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = toFlag(body[field], field);
+  });
+
+  if (body.score_threshold !== undefined) {
+    if (body.score_threshold === null || body.score_threshold === '') {
+      fields.score_threshold = 0;
+    } else {
+      const threshold = Number(body.score_threshold);
+      if (!Number.isInteger(threshold) || threshold < 1 || threshold > 100) {
+        throw new ValidationError('score_threshold must be a whole number from 1 to 100, or null to turn it off');
+      }
+      fields.score_threshold = threshold;
+    }
+  }
+
+  if (body.email_recipients !== undefined) {
+    fields.email_recipients = parseRecipients(body.email_recipients);
+  }
+  if (body.webhook_url !== undefined) {
+    fields.webhook_url = parseWebhookUrl(body.webhook_url);
+  }
+  if (body.rotate_secret !== undefined && toFlag(body.rotate_secret, 'rotate_secret')) {
+    fields.webhook_secret = newWebhookSecret();
+  }
+
+  if (Object.keys(fields).length === 0) {
+    throw new ValidationError(`Nothing to update; send any of: ${NOTIFICATION_FIELDS.join(', ')}, rotate_secret`);
+  }
+  return fields;
+}
+
+function scanSummary(scan, summary) {
+  return {
+    scan_id: scan.scan_id,
+    scan_date: scan.scan_date,
+    compliance_score: scan.compliance_score,
+    pages_scanned: scan.pages_scanned,
+    total_violations: summary.total_violations,
+    critical_count: summary.critical_count,
+    serious_count: summary.serious_count,
+    moderate_count: summary.moderate_count,
+    minor_count: summary.minor_count,
+  };
+}
+
+// Events for the latest of one website's scans (latest first), given the customer's
+// settings and that scan's dashboard view
+function buildScanEvents(settings, scans, view) {
+  const [scan, previous] = scans;
+  if (!scan) return [];
+
+  const base = {
+    website_url: scan.website_url,
+    scan: scanSummary(scan, view.summary),
+    previous_score: previous ? previous.compliance_score : null,
+  };
+  const event = (type, data = {}) => ({
+    id: `${type}:${scan.scan_id}`,
+    type,
+    created: new Date().toISOString(),
+    data: { ...base, ...data },
+  });
+
+  const events = [];
+  if (settings.notify_scan_complete) {
+    events.push(event('scan.completed', { lifecycle: view.lifecycle }));
+  }
+
+  const threshold = settings.score_threshold;
+  const wasAbove = !previous || previous.compliance_score >= threshold;
+  if (threshold && scan.compliance_score < threshold && wasAbove) {
+    events.push(event('score.below_threshold', { threshold }));
+  }
+
+  if (settings.notify_new_critical) {
+    const critical = view.violations.filter(v =>
+      v.impact === 'critical' && ['new', 'regressed'].includes(v.lifecycle_status)
+    );
+    if (critical.length > 0) {
+      events.push(event('violations.new_critical', {
+        count: critical.length,
+        violations: critical.slice(0, MAX_LISTED_VIOLATIONS).map(v => ({
+          rule_id: v.rule_id,
+          description: v.description,
+          page_url: v.page_url,
+          element_selector: v.element_selector,
+          help_url: v.help_url,
+          lifecycle_status: v.lifecycle_status,
+        })),
+      }));
+    }
+  }
+
+  return events;
+}
+
+// Raise and deliver the notifications for a finished scan. Safe to call more than once
+// for the same scan. sentEventIds: ids of events already delivered, if the caller has
+// them (it is updated). Resolves to the deliveries made.
+async function notifyScan(store, scanId, { dashboardUrl, sentEventIds } = {}) {
+  const scan = await store.scans.get(scanId);
+  if (!scan) return [];
+
+  const record = await store.notificationSettings.getForCustomer(scan.customer_id);
+  if (!record) return [];
+
+  // Everything up to and including this scan, in case a later one already landed
+  const siteScans = await store.scans.listForCustomer(scan.customer_id, { websiteUrl: scan.website_url });
+  const history = siteScans.slice(Math.max(siteScans.findIndex(s => s.scan_id === scan.scan_id), 0));
+  const violations = await store.violations.listForScans(history.map(s => s.scan_id));
+  const suppressions = activeSuppressions(await store.suppressions.listForCustomer(scan.customer_id), scan.website_url);
+  const view = buildScanView(history, violations, suppressions);
+
+  const settings = resolveNotificationSettings({}, record);
+  const events = buildScanEvents(settings, history, view);
+  if (events.length === 0) return [];
+
+  const sent = sentEventIds || new Set(
+    (await store.notificationDeliveries.listForCustomer(scan.customer_id)).map(delivery => delivery.event_id)
+  );
+
+  const deliveries = [];
+  for (const event of events) {
+    if (sent.has(event.id)) continue;
+    sent.add(event.id);
+    deliveries.push(...await createDeliveries(store, scan.customer_id, settings, {
+      ...event,
+      customer_id: scan.customer_id,
+      dashboard_url: dashboardUrl || null,
+    }));
+  }
+  return attemptDeliveries(store, deliveries);
+}
+
+// Notify about every scan from the last NOTIFY_WINDOW_HOURS of the customers who have
+// notification settings, oldest first. Scans already notified about are skipped, and a
+// scan that fails is logged and tried again next run. Resolves to the deliveries made.
+async function notifyRecentScans(store, { dashboardUrl, now = new Date() } = {}) {
+  const customerIds = new Set((await store.notificationSettings.list()).map(record => String(record.customer_id).trim()));
+  if (customerIds.size === 0) return [];
+
+  const since = now.getTime() - NOTIFY_WINDOW_HOURS * 60 * 60 * 1000;
+  const scans = (await store.scans.list())
+    .filter(scan => customerIds.has(String(scan.customer_id).trim()) && new Date(scan.scan_date).getTime() >= since)
+    .sort((a, b) => new Date(a.scan_date) - new Date(b.scan_date));
+  if (scans.length === 0) return [];
+
+  const sentEventIds = new Set((await store.notificationDeliveries.list()).map(delivery => delivery.event_id));
+  const deliveries = [];
+  for (const scan of scans) {
+    try {
+      deliveries.push(...await notifyScan(store, scan.scan_id, { dashboardUrl, sentEventIds }));
+    } catch (error) {
+      console.error(`Failed to send notifications for scan ${scan.scan_id}:`, error);
+    }
+  }
+  return deliveries;
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_FIELDS,
+  newWebhookSecret,
+  resolveNotificationSettings,
+  parseNotificationUpdate,
+  buildScanEvents,
+  notifyScan,
+  notifyRecentScans,
+};
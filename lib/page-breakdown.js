@@ -0,0 +1,56 @@
+// Per-page compliance breakdown for one scan
+// Gives each scanned page its own violation counts and a page score so editors can
+// see which page to fix first. The page score is our own estimate: 100 minus a
+// penalty per violation weighted by impact, floored at 0. The site-wide
+// compliance_score still comes from the scanner.
+
+const { IMPACTS } = require('./scan-diff');
+const { isCounted } = require('./remediation');
+
+const PAGE_SCORE_PENALTIES = { critical: 10, serious: 5, moderate: 3, minor: 1 };
+
+// page: counts as { critical_count, serious_count, ... }
+function pageScore(page) {
+  const penalty = IMPACTS.reduce((sum, impact) => sum + page[`${impact}_count`] * PAGE_SCORE_PENALTIES[impact], 0);
+  return Math.max(0, 100 - penalty);
+}
+
+function emptyPage(pageUrl, scanned) {
+  const page = { page_url: pageUrl, scanned, total_violations: 0 };
+  IMPACTS.forEach(impact => { page[`${impact}_count`] = 0; });
+  return page;
+}
+
+// scan: the Scan Summary row; violations: that scan's violations after remediation and
+// suppressions (false positives are listed on the page but not counted)
+// Returns pages sorted worst first: lowest score, then most violations, then URL
+function buildPageBreakdown(scan, violations) {
+  const scannedUrls = Array.isArray(scan.scanned_page_urls) ? scan.scanned_page_urls : [];
+  const pages = new Map(scannedUrls.map(url => [url, emptyPage(url, true)]));
+
+  violations
+    .filter(v => String(v.scan_id).trim() === String(scan.scan_id).trim())
+    .filter(isCounted)
+    .forEach(violation => {
+      const url = violation.page_url || '';
+      // A violation on a page missing from scanned_page_urls still gets a row
+      if (!pages.has(url)) pages.set(url, emptyPage(url, false));
+      const page = pages.get(url);
+      page.total_violations++;
+      if (IMPACTS.includes(violation.impact)) page[`${violation.impact}_count`]++;
+    });
+
+  return Array.from(pages.values())
+    .map(page => ({ ...page, score: pageScore(page) }))
+    .sort((a, b) =>
+      a.score - b.score ||
+      b.total_violations - a.total_violations ||
+      a.page_url.localeCompare(b.page_url)
+    );
+}
+
+module.exports = {
+  PAGE_SCORE_PENALTIES,
+  pageScore,
+  buildPageBreakdown,
+};
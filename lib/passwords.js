@@ -0,0 +1,53 @@
+// Password hashing for the Users sheet's password_hash column
+// Hashes are stored as "scrypt$<salt>$<hash>" (both base64) using Node's built-in scrypt.
+
+const crypto = require('crypto');
+
+const KEY_LENGTH = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+function verifyPassword(password, stored) {
+  if (!password || !stored) return false;
+
+  const [scheme, saltB64, hashB64] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !saltB64 || !hashB64) {
+    console.error('Unsupported password_hash format');
+    return false;
+  }
+
+  const expected = Buffer.from(hashB64, 'base64');
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltB64, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Password reset tokens: the raw token goes in the email, only its SHA-256 is stored
+// (reset_token column), so a leaked sheet can't be used to reset passwords.
+const RESET_TOKEN_TTL_MINUTES = 30;
+const MIN_PASSWORD_LENGTH = 8;
+
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function createResetToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return {
+    token,
+    hash: hashResetToken(token),
+    expires: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000).toISOString(),
+  };
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  RESET_TOKEN_TTL_MINUTES,
+  hashPassword,
+  verifyPassword,
+  hashResetToken,
+  createResetToken,
+};
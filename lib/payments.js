@@ -0,0 +1,219 @@
+// Payment provider, behind a pluggable adapter
+// PAYMENTS=mock answers from the Subscriptions sheet as if every subscription were a
+// monthly Stripe subscription that renews itself; it never charges anything and is what
+// you want in local development, where it is the default. Deployments must set PAYMENTS,
+// and production refuses the mock, so a missing setting can't report cancellations and
+// plan changes that never reached Stripe.
+// PAYMENTS=stripe calls the Stripe API with STRIPE_SECRET_KEY. Each subscription plan in
+// lib/entitlements.js maps to a Stripe price through STRIPE_PRICE_<PLAN>, e.g.
+// STRIPE_PRICE_ESSENTIALS and STRIPE_PRICE_PROFESSIONAL.
+//
+// Every method takes the customer's Subscriptions row and resolves to the provider's
+// view of the subscription:
+//   { subscription_id, status, cancel_at_period_end, current_period_start,
+//     current_period_end, plan }
+// with dates as YYYY-MM-DD and status in Stripe's terms (active, past_due, canceled, ...).
+
+const { PaymentProviderError } = require('./errors');
+const { isDevelopment, isProduction } = require('./env');
+const { SUBSCRIPTION_PLANS } = require('./entitlements');
+
+const STRIPE_API = 'https://api.stripe.com/v1';
+
+function priceEnv(plan) {
+  return `STRIPE_PRICE_${plan.toUpperCase()}`;
+}
+
+function priceForPlan(plan) {
+  const price = process.env[priceEnv(plan)];
+  if (!price) {
+    throw new PaymentProviderError(`No Stripe price configured for the ${plan} plan`, 'server_config', 500);
+  }
+  return price;
+}
+
+// A price's plan: the configured price IDs first, then a lookup_key named after the plan
+function planForPrice(price) {
+  if (!price) return null;
+  return SUBSCRIPTION_PLANS.find(plan => process.env[priceEnv(plan)] === price.id) ||
+    SUBSCRIPTION_PLANS.find(plan => plan === price.lookup_key) ||
+    null;
+}
+
+function isoDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function fromUnix(seconds) {
+  return seconds ? isoDate(new Date(seconds * 1000)) : null;
+}
+
+// Stripe subscription object -> the adapter's view of it. Newer Stripe API versions
+// report the period on the subscription item.
+function normalizeStripeSubscription(stripeSubscription) {
+  const item = stripeSubscription.items?.data?.[0] || {};
+  return {
+    subscription_id: stripeSubscription.id,
+    status: stripeSubscription.status,
+    cancel_at_period_end: Boolean(stripeSubscription.cancel_at_period_end),
+    current_period_start: fromUnix(stripeSubscription.current_period_start ?? item.current_period_start),
+    current_period_end: fromUnix(stripeSubscription.current_period_end ?? item.current_period_end),
+    plan: planForPrice(item.price),
+  };
+}
+
+function createMockPayments() {
+  // The row's period, rolled forward a month at a time until it covers today unless
+  // the subscription was cancelled
+  function current(subscription) {
+    const cancelled = String(subscription.status ?? '').toLowerCase() === 'cancelled';
+    const start = new Date(subscription.current_period_start || subscription.created_date || Date.now());
+    const end = new Date(subscription.current_period_end || Date.now());
+    const now = new Date();
+
+    if (!cancelled && !Number.isNaN(end.getTime())) {
+      while (end <= now) {
+        start.setTime(end.getTime());
+        end.setMonth(end.getMonth() + 1);
+      }
+    }
+
+    return {
+      subscription_id: subscription.subscription_id || null,
+      status: cancelled && end <= now ? 'canceled' : 'active',
+      cancel_at_period_end: cancelled,
+      current_period_start: Number.isNaN(start.getTime()) ? null : isoDate(start),
+      current_period_end: Number.isNaN(end.getTime()) ? null : isoDate(end),
+      plan: subscription.plan || null,
+    };
+  }
+
+  return {
+    name: 'mock',
+
+    async getSubscription(subscription) {
+      return current(subscription);
+    },
+
+    async cancelAtPeriodEnd(subscription) {
+      console.log('[PAYMENTS] Cancel at period end:', subscription.subscription_id);
+      return { ...current(subscription), cancel_at_period_end: true };
+    },
+
+    async resume(subscription) {
+      console.log('[PAYMENTS] Resume:', subscription.subscription_id);
+      return { ...current({ ...subscription, status: 'active' }), cancel_at_period_end: false };
+    },
+
+    async changePlan(subscription, plan) {
+      console.log(`[PAYMENTS] Change plan: ${subscription.subscription_id} -> ${plan}`);
+      // Like Stripe below, changing plan also clears a pending cancellation
+      return { ...current({ ...subscription, status: 'active' }), cancel_at_period_end: false, plan };
+    },
+  };
+}
+
+function createStripePayments(secretKey = process.env.STRIPE_SECRET_KEY) {
+  if (!secretKey) {
+    throw new Error('STRIPE_SECRET_KEY is required when PAYMENTS=stripe');
+  }
+
+  async function stripeRequest(method, path, params) {
+    const response = await fetch(`${STRIPE_API}${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: params ? new URLSearchParams(params).toString() : undefined,
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const message = data.error?.message || `Stripe responded ${response.status}`;
+      // Card problems are the customer's to fix; anything else is ours or Stripe's
+      throw data.error?.type === 'card_error'
+        ? new PaymentProviderError(message, data.error.code || 'card_error', 402)
+        : new PaymentProviderError(message);
+    }
+    return data;
+  }
+
+  function subscriptionPath(subscription) {
+    if (!subscription.subscription_id) {
+      throw new PaymentProviderError('This subscription has no Stripe subscription_id', 'no_provider_subscription', 409);
+    }
+    return `/subscriptions/${encodeURIComponent(subscription.subscription_id)}`;
+  }
+
+  const normalize = normalizeStripeSubscription;
+
+  return {
+    name: 'stripe',
+
+    async getSubscription(subscription) {
+      return normalize(await stripeRequest('GET', subscriptionPath(subscription)));
+    },
+
+    async cancelAtPeriodEnd(subscription) {
+      return normalize(await stripeRequest('POST', subscriptionPath(subscription), {
+        cancel_at_period_end: 'true',
+      }));
+    },
+
+    async resume(subscription) {
+      return normalize(await stripeRequest('POST', subscriptionPath(subscription), {
+        cancel_at_period_end: 'false',
+      }));
+    },
+
+    // Swap the subscription's price; Stripe prorates the difference on the next invoice
+    async changePlan(subscription, plan) {
+      const path = subscriptionPath(subscription);
+      const existing = await stripeRequest('GET', path);
+      const item = existing.items?.data?.[0];
+      if (!item) {
+        throw new PaymentProviderError('Stripe subscription has no items to change');
+      }
+
+      return normalize(await stripeRequest('POST', path, {
+        'items[0][id]': item.id,
+        'items[0][price]': priceForPlan(plan),
+        proration_behavior: 'create_prorations',
+        cancel_at_period_end: 'false',
+      }));
+    },
+  };
+}
+
+let payments = null;
+
+function getPayments() {
+  if (!payments) {
+    const provider = process.env.PAYMENTS || (isDevelopment() ? 'mock' : '');
+    if (provider === 'stripe') {
+      payments = createStripePayments();
+    } else if (provider === 'mock' && !isProduction()) {
+      payments = createMockPayments();
+    } else {
+      console.error(`PAYMENTS is ${provider ? `"${provider}"` : 'not set'}; set PAYMENTS=stripe${isProduction() ? '' : ' or PAYMENTS=mock'}`);
+      throw new PaymentProviderError('Server configuration error', 'server_config', 500);
+    }
+  }
+  return payments;
+}
+
+// Tests and scripts can swap the adapter, e.g. to simulate provider failures
+function setPayments(customPayments) {
+  payments = customPayments;
+}
+
+module.exports = {
+  getPayments,
+  setPayments,
+  createMockPayments,
+  createStripePayments,
+  normalizeStripeSubscription,
+  planForPrice,
+  fromUnix,
+};
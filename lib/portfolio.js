@@ -0,0 +1,136 @@
+// Portfolio overview for Professional accounts
+// One row per website (score, trend, counts, scan age) plus account-wide totals and
+// the rules failing most often across every site, so the worst property stands out
+// without opening each site in turn.
+
+const { IMPACTS } = require('./scan-diff');
+const { isCounted } = require('./remediation');
+const { calculateTrend, TREND_WINDOW } = require('./trend');
+const { ValidationError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_RULES = 10;
+
+// Worsening sorts before stable before improving when sorting by trend ascending
+const TREND_RANK = { worsening: 0, insufficient_data: 1, stable: 2, improving: 3 };
+
+// Sort keys and how they compare two site rows; unscanned sites always sort last
+const SORTS = {
+  score: (a, b) => a.current_score - b.current_score,
+  trend: (a, b) => TREND_RANK[a.trend.direction] - TREND_RANK[b.trend.direction],
+  critical: (a, b) => a.critical_count - b.critical_count,
+  violations: (a, b) => a.total_violations - b.total_violations,
+  last_scan: (a, b) => new Date(a.last_scan_date) - new Date(b.last_scan_date),
+  name: (a, b) => a.name.localeCompare(b.name),
+};
+
+// ?sort=...&order=asc|desc; the default shows the worst-scoring site first
+function parsePortfolioSort(query = {}) {
+  const sort = String(query.sort ?? 'score').trim() || 'score';
+  if (!SORTS[sort]) {
+    throw new ValidationError(`sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+  }
+
+  const order = String(query.order ?? '').trim().toLowerCase() ||
+    (sort === 'critical' || sort === 'violations' ? 'desc' : 'asc');
+  if (!['asc', 'desc'].includes(order)) {
+    throw new ValidationError('order must be asc or desc');
+  }
+
+  return { sort, order };
+}
+
+function scanAgeDays(scanDate, now) {
+  const time = new Date(scanDate).getTime();
+  return Number.isNaN(time) ? null : Math.max(0, Math.floor((now - time) / DAY_MS));
+}
+
+// sites: [{ website_url, settings, scans (latest first), view (lib/scan-view.js), scan_status }]
+function siteRow(site, now) {
+  const latest = site.scans[0] || null;
+  const summary = site.view.summary;
+  const historical = site.scans.slice(0, TREND_WINDOW).reverse().map(scan => ({
+    date: scan.scan_date,
+    score: scan.compliance_score,
+  }));
+
+  const row = {
+    website_url: site.website_url,
+    name: site.settings?.display_name || site.website_url,
+    tags: site.settings?.tags || [],
+    scanned: Boolean(latest),
+    scan_status: site.scan_status || null,
+    current_score: latest ? latest.compliance_score : null,
+    previous_score: site.scans[1] ? site.scans[1].compliance_score : null,
+    trend: calculateTrend(historical),
+    total_violations: summary ? summary.total_violations : 0,
+    last_scan_date: latest ? latest.scan_date : null,
+    last_scan_age_days: latest ? scanAgeDays(latest.scan_date, now) : null,
+    historical,
+  };
+  IMPACTS.forEach(impact => {
+    row[`${impact}_count`] = summary ? summary[`${impact}_count`] : 0;
+  });
+  return row;
+}
+
+function sortRows(rows, { sort, order }) {
+  const compare = SORTS[sort];
+  const direction = order === 'desc' ? -1 : 1;
+  return rows.slice().sort((a, b) => {
+    if (a.scanned !== b.scanned) return a.scanned ? -1 : 1;
+    return direction * compare(a, b) || a.website_url.localeCompare(b.website_url);
+  });
+}
+
+// Most common rule_ids in the sites' latest scans, counting each violation once
+function topRules(sites) {
+  const rules = {};
+  sites.forEach(site => {
+    site.view.violations.filter(isCounted).forEach(violation => {
+      const ruleId = violation.rule_id || 'unknown';
+      if (!rules[ruleId]) {
+        rules[ruleId] = { rule_id: ruleId, count: 0, websites: new Set(), description: violation.description || '' };
+      }
+      rules[ruleId].count++;
+      rules[ruleId].websites.add(site.website_url);
+    });
+  });
+
+  return Object.values(rules)
+    .map(rule => ({ ...rule, site_count: rule.websites.size, websites: [...rule.websites] }))
+    .sort((a, b) => b.count - a.count || b.site_count - a.site_count || a.rule_id.localeCompare(b.rule_id))
+    .slice(0, TOP_RULES);
+}
+
+function buildTotals(rows) {
+  const scanned = rows.filter(row => row.scanned);
+  const totals = {
+    websites: rows.length,
+    scanned_websites: scanned.length,
+    average_score: scanned.length
+      ? Math.round(scanned.reduce((sum, row) => sum + row.current_score, 0) / scanned.length)
+      : null,
+    total_violations: rows.reduce((sum, row) => sum + row.total_violations, 0),
+    worsening_websites: rows.filter(row => row.trend.direction === 'worsening').length,
+  };
+  IMPACTS.forEach(impact => {
+    totals[`${impact}_count`] = rows.reduce((sum, row) => sum + row[`${impact}_count`], 0);
+  });
+  return totals;
+}
+
+function buildPortfolio(sites, sortOptions, now = Date.now()) {
+  const rows = sites.map(site => siteRow(site, now));
+  return {
+    sort: sortOptions,
+    totals: buildTotals(rows),
+    top_rules: topRules(sites),
+    websites: sortRows(rows, sortOptions),
+  };
+}
+
+module.exports = {
+  parsePortfolioSort,
+  buildPortfolio,
+};
@@ -0,0 +1,130 @@
+// Remediation status of violations
+// Users mark a violation fixed, won't-fix (with a reason), false positive or assigned
+// to a teammate. The status is stored on that violation's row in fixed_status, but each
+// scan writes fresh rows, so the status is carried forward to the same violation
+// (matched like lifecycle tracking) in later scans:
+//   - a violation marked fixed that turns up again in a later scan is "reopened"
+//   - one that doesn't turn up again shows in lifecycle's fixed list, confirming the fix
+//   - won't-fix, false positive and assigned stay in force until changed
+//   - setting a violation back to open stores REOPENED_BY_USER, so the reopen overrides
+//     a status carried from an earlier scan (a plain "open" is what the scanner writes)
+// False positives are left out of the counts shown on the dashboard.
+
+const { violationKey } = require('./lifecycle');
+
+// Statuses a user can set
+const REMEDIATION_STATUSES = ['open', 'assigned', 'fixed', 'wont_fix', 'false_positive'];
+
+// Set by the next scan when a violation marked fixed is still there
+const REOPENED = 'reopened';
+
+// Stored in fixed_status when a user sets a violation back to open
+const REOPENED_BY_USER = 'reopened_by_user';
+
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+function normalizeStatus(value) {
+  const status = String(value ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return REMEDIATION_STATUSES.includes(status) ? status : 'open';
+}
+
+// The fixed_status value to store for a status a user sets
+function storedStatus(status) {
+  return status === 'open' ? REOPENED_BY_USER : status;
+}
+
+// The status a user set on this row itself, or null if it has none of its own
+function explicitStatus(violation) {
+  if (String(violation.fixed_status ?? '').trim().toLowerCase() === REOPENED_BY_USER) return 'open';
+  const status = normalizeStatus(violation.fixed_status);
+  return status === 'open' ? null : status;
+}
+
+// scans: one website's scans, latest first; violations: violations for those scans.
+// Returns copies of the violations with the effective status, status_reason and
+// assigned_to, carrying explicit statuses forward from earlier scans.
+function applyRemediation(scans, violations) {
+  const scanOrder = new Map();
+  scans.forEach((scan, index) => scanOrder.set(String(scan.scan_id ?? '').trim(), scans.length - index));
+  const orderOf = violation => scanOrder.get(String(violation.scan_id ?? '').trim()) || 0;
+
+  // Oldest scan first so later statuses override earlier ones
+  const sorted = violations.slice().sort((a, b) => orderOf(a) - orderOf(b));
+  const state = new Map();
+
+  const annotated = new Map(sorted.map(violation => {
+    const key = violationKey(violation);
+    const explicit = explicitStatus(violation);
+    const carried = state.get(key);
+
+    let current;
+    if (explicit) {
+      current = {
+        status: explicit,
+        status_reason: violation.status_reason || '',
+        assigned_to: violation.assigned_to || '',
+        status_set_on: violation.violation_id,
+        order: orderOf(violation),
+      };
+    } else if (carried && carried.status === 'fixed' && carried.order < orderOf(violation)) {
+      // Marked fixed, but a later scan still finds it
+      current = { ...carried, status: REOPENED, reopened_in: violation.scan_id, order: orderOf(violation) };
+    } else if (carried) {
+      current = carried;
+    } else {
+      current = { status: 'open', status_reason: '', assigned_to: '' };
+    }
+    state.set(key, current);
+
+    return [violation, {
+      ...violation,
+      status: current.status,
+      status_reason: current.status_reason,
+      assigned_to: current.assigned_to,
+      ...(current.reopened_in ? { reopened_in: current.reopened_in } : {}),
+    }];
+  }));
+
+  return violations.map(violation => annotated.get(violation));
+}
+
+function isCounted(violation) {
+  return violation.status !== 'false_positive';
+}
+
+// Copy of a scan summary with the given violations taken out of its counts
+function subtractFromCounts(scan, violations) {
+  const own = violations.filter(v => String(v.scan_id).trim() === String(scan.scan_id).trim());
+  const adjusted = {
+    ...scan,
+    total_violations: Math.max(0, (scan.total_violations || 0) - own.length),
+  };
+  IMPACTS.forEach(impact => {
+    const count = own.filter(v => v.impact === impact).length;
+    adjusted[`${impact}_count`] = Math.max(0, (scan[`${impact}_count`] || 0) - count);
+  });
+  return adjusted;
+}
+
+// Copy of a scan summary with false positives taken out of its counts
+function excludeFalsePositives(scan, violations) {
+  if (!scan) return scan;
+
+  const falsePositives = violations.filter(v => !isCounted(v));
+  return {
+    ...subtractFromCounts(scan, falsePositives),
+    false_positive_count: falsePositives.filter(v => String(v.scan_id).trim() === String(scan.scan_id).trim()).length,
+  };
+}
+
+module.exports = {
+  REMEDIATION_STATUSES,
+  REOPENED,
+  REOPENED_BY_USER,
+  normalizeStatus,
+  storedStatus,
+  applyRemediation,
+  isCounted,
+  subtractFromCounts,
+  excludeFalsePositives,
+};
@@ -0,0 +1,308 @@
+// Compliance reports for a single scan
+// One report object feeds three renderers: printable HTML (browsers save it as PDF),
+// CSV of the violations, and plain JSON. The report is dated so it can be kept as
+// evidence of remediation over time.
+
+const IMPACT_ORDER = { critical: 1, serious: 2, moderate: 3, minor: 4 };
+
+const REPORT_FORMATS = ['html', 'csv', 'json'];
+
+const STATUS_LABELS = {
+  open: 'Open',
+  assigned: 'Assigned',
+  fixed: 'Marked fixed',
+  wont_fix: 'Won\'t fix',
+  false_positive: 'False positive',
+  reopened: 'Reopened',
+};
+
+function buildReport({ customer, scan, violations, history }) {
+  return {
+    generated_at: new Date().toISOString(),
+    company_name: customer.company_name,
+    website_url: scan.website_url,
+    scan: {
+      scan_id: scan.scan_id,
+      scan_date: scan.scan_date,
+      compliance_score: scan.compliance_score,
+      pages_scanned: scan.pages_scanned,
+      scanned_page_urls: Array.isArray(scan.scanned_page_urls) ? scan.scanned_page_urls : [],
+      total_violations: scan.total_violations,
+      scanner_version: scan.scanner_version,
+    },
+    impact_counts: {
+      critical: scan.critical_count || 0,
+      serious: scan.serious_count || 0,
+      moderate: scan.moderate_count || 0,
+      minor: scan.minor_count || 0,
+    },
+    ai_analysis: scan.ai_analysis || '',
+    violations: violations
+      .slice()
+      .sort((a, b) => (IMPACT_ORDER[a.impact] || 5) - (IMPACT_ORDER[b.impact] || 5))
+      .map(v => ({
+        impact: v.impact,
+        rule_id: v.rule_id,
+        description: v.description,
+        page_url: v.page_url,
+        element_selector: v.element_selector,
+        help_url: v.help_url,
+        lifecycle_status: v.lifecycle_status,
+        first_seen: v.first_seen,
+        status: v.status,
+        status_reason: v.status_reason,
+      })),
+    // Oldest first, ending with this scan
+    score_history: history.map(s => ({
+      scan_id: s.scan_id,
+      date: s.scan_date,
+      score: s.compliance_score,
+    })),
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime())
+    ? String(value ?? '')
+    : date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// ai_analysis is stored as JSON: { overall_summary, aggregated_priority_fixes } in the
+// current format, { summary, priority_fixes } in the legacy one. Anything unparseable
+// is shown as plain text.
+function renderAnalysis(aiAnalysis) {
+  if (!aiAnalysis) return '';
+
+  let data;
+  try {
+    data = typeof aiAnalysis === 'string' ? JSON.parse(aiAnalysis) : aiAnalysis;
+  } catch (error) {
+    return `<div class="analysis">${escapeHtml(aiAnalysis)}</div>`;
+  }
+
+  const summary = data.overall_summary || data.summary;
+  const fixes = data.aggregated_priority_fixes || data.priority_fixes || [];
+
+  return `
+${summary ? `<p>${escapeHtml(summary)}</p>` : ''}
+${fixes.length > 0 ? `<ol>${fixes.map(fix => `
+  <li>
+    <strong>${escapeHtml(fix.issue)}</strong>${fix.impact ? ` <span class="impact ${escapeHtml(String(fix.impact).toLowerCase())}">(${escapeHtml(fix.impact)})</span>` : ''}
+    ${fix.explanation ? `<br>${escapeHtml(fix.explanation)}` : ''}
+    ${fix.fix ? `<br><em>How to fix:</em> ${escapeHtml(fix.fix)}` : ''}
+  </li>`).join('')}</ol>` : ''}`;
+}
+
+function renderHtml(report) {
+  const impactRows = Object.entries(report.impact_counts)
+    .map(([impact, count]) => `<tr><td class="impact ${impact}">${escapeHtml(impact)}</td><td>${count}</td></tr>`)
+    .join('');
+
+  const violationRows = report.violations
+    .map(v => `
+      <tr>
+        <td class="impact ${escapeHtml(v.impact)}">${escapeHtml(v.impact)}</td>
+        <td>${escapeHtml(v.rule_id)}<br><small>${escapeHtml(v.description)}</small></td>
+        <td>${escapeHtml(v.page_url)}</td>
+        <td><code>${escapeHtml(v.element_selector)}</code></td>
+        <td>${v.help_url ? `<a href="${escapeHtml(v.help_url)}">${escapeHtml(v.help_url)}</a>` : ''}</td>
+        <td>${escapeHtml(STATUS_LABELS[v.status] || v.status)}${v.status_reason ? `<br><small>${escapeHtml(v.status_reason)}</small>` : ''}</td>
+      </tr>`)
+    .join('');
+
+  const historyRows = report.score_history
+    .map(h => `<tr><td>${escapeHtml(formatDate(h.date))}</td><td>${escapeHtml(h.score)}</td></tr>`)
+    .join('');
+
+  const pages = report.scan.scanned_page_urls
+    .map(url => `<li>${escapeHtml(url)}</li>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Accessibility Compliance Report - ${escapeHtml(report.website_url)} - ${escapeHtml(formatDate(report.scan.scan_date))}</title>
+<style>
+  body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #222; max-width: 960px; margin: 40px auto; padding: 0 20px; }
+  h1 { color: #007480; margin-bottom: 4px; }
+  h2 { color: #007480; border-bottom: 2px solid #007480; padding-bottom: 4px; margin-top: 32px; }
+  .meta { color: #555; }
+  .score { font-size: 3rem; font-weight: 700; color: #007480; }
+  table { width: 100%; border-collapse: collapse; margin-top: 12px; font-size: 0.9rem; }
+  th, td { border: 1px solid #ddd; padding: 8px; text-align: left; vertical-align: top; word-break: break-word; }
+  th { background: #f4f8f9; }
+  .impact { font-weight: 600; text-transform: capitalize; }
+  .impact.critical { color: #dc3545; }
+  .impact.serious { color: #fd7e14; }
+  .impact.moderate { color: #b38600; }
+  .impact.minor { color: #17a2b8; }
+  .analysis { white-space: pre-wrap; background: #f8f9fa; padding: 16px; border-radius: 6px; }
+  .print-btn { padding: 8px 16px; background: #007480; color: #fff; border: none; border-radius: 6px; cursor: pointer; }
+  @media print {
+    .print-btn { display: none; }
+    body { margin: 0; max-width: none; }
+    tr { page-break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+<button class="print-btn" onclick="window.print()">Print / Save as PDF</button>
+<h1>Accessibility Compliance Report</h1>
+<p class="meta">
+  ${escapeHtml(report.company_name)}<br>
+  Website: ${escapeHtml(report.website_url)}<br>
+  Scan ${escapeHtml(report.scan.scan_id)} on ${escapeHtml(formatDate(report.scan.scan_date))}<br>
+  Report generated ${escapeHtml(formatDate(report.generated_at))}
+</p>
+
+<h2>Summary</h2>
+<div class="score">${escapeHtml(report.scan.compliance_score)}<small>/100</small></div>
+<p>${escapeHtml(report.scan.pages_scanned)} pages scanned, ${escapeHtml(report.scan.total_violations)} violations found.</p>
+<table>
+  <thead><tr><th>Impact</th><th>Violations</th></tr></thead>
+  <tbody>${impactRows}</tbody>
+</table>
+
+${report.ai_analysis ? `<h2>Analysis</h2>${renderAnalysis(report.ai_analysis)}` : ''}
+
+<h2>Violations</h2>
+${report.violations.length > 0 ? `<table>
+  <thead><tr><th>Impact</th><th>Rule</th><th>Page</th><th>Element</th><th>Guidance</th><th>Status</th></tr></thead>
+  <tbody>${violationRows}</tbody>
+</table>` : '<p>No violations found.</p>'}
+
+<h2>Score History</h2>
+<table>
+  <thead><tr><th>Scan date</th><th>Score</th></tr></thead>
+  <tbody>${historyRows}</tbody>
+</table>
+
+<h2>Pages Scanned</h2>
+<ul>${pages}</ul>
+</body>
+</html>
+`;
+}
+
+// Text from scanned pages can start like a formula (=, +, -, @); a leading ' keeps
+// Excel and Sheets from running it
+function csvCell(value) {
+  let text = String(value ?? '');
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per violation; scan details repeat on every row so the file stands alone
+function renderCsv(report) {
+  const header = [
+    'scan_id', 'scan_date', 'website_url', 'compliance_score',
+    'impact', 'rule_id', 'description', 'page_url', 'element_selector', 'help_url',
+    'lifecycle_status', 'first_seen', 'status', 'status_reason',
+  ];
+
+  const rows = report.violations.map(v => [
+    report.scan.scan_id, report.scan.scan_date, report.website_url, report.scan.compliance_score,
+    v.impact, v.rule_id, v.description, v.page_url, v.element_selector, v.help_url,
+    v.lifecycle_status, v.first_seen, v.status, v.status_reason,
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Accessibility Conformance Report (VPAT 2.x layout) from lib/wcag.js buildConformance
+function renderConformanceHtml(conformance, { companyName } = {}) {
+  const summaryRows = Object.entries(conformance.summary)
+    .map(([status, count]) => `<tr><td>${escapeHtml(status)}</td><td>${count}</td></tr>`)
+    .join('');
+
+  const criteriaRows = conformance.criteria
+    .map(c => `
+      <tr>
+        <td>${escapeHtml(c.id)} ${escapeHtml(c.name)} (Level ${escapeHtml(c.level)})</td>
+        <td class="status">${escapeHtml(c.conformance)}</td>
+        <td>${escapeHtml(c.remarks)}</td>
+      </tr>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Accessibility Conformance Report - ${escapeHtml(conformance.website_url)} - ${escapeHtml(conformance.standard)} ${escapeHtml(conformance.target_level)}</title>
+<style>
+  body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #222; max-width: 960px; margin: 40px auto; padding: 0 20px; }
+  h1 { color: #007480; margin-bottom: 4px; }
+  h2 { color: #007480; border-bottom: 2px solid #007480; padding-bottom: 4px; margin-top: 32px; }
+  .meta { color: #555; }
+  table { width: 100%; border-collapse: collapse; margin-top: 12px; font-size: 0.9rem; }
+  th, td { border: 1px solid #ddd; padding: 8px; text-align: left; vertical-align: top; }
+  th { background: #f4f8f9; }
+  .status { font-weight: 600; white-space: nowrap; }
+  .print-btn { padding: 8px 16px; background: #007480; color: #fff; border: none; border-radius: 6px; cursor: pointer; }
+  @media print {
+    .print-btn { display: none; }
+    body { margin: 0; max-width: none; }
+    tr { page-break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+<button class="print-btn" onclick="window.print()">Print / Save as PDF</button>
+<h1>Accessibility Conformance Report</h1>
+<p class="meta">
+  ${companyName ? `${escapeHtml(companyName)}<br>` : ''}
+  Website: ${escapeHtml(conformance.website_url)}<br>
+  Standard: ${escapeHtml(conformance.standard)} Level ${escapeHtml(conformance.target_level)}<br>
+  Based on scan ${escapeHtml(conformance.scan_id)} on ${escapeHtml(formatDate(conformance.scan_date))} (${escapeHtml(conformance.pages_scanned)} pages)<br>
+  Report generated ${escapeHtml(formatDate(new Date().toISOString()))}
+</p>
+<p>Evaluation method: automated testing. Criteria marked "Not Evaluated" are not covered by automated checks and need manual review before a conformance claim is made.</p>
+
+<h2>Summary</h2>
+<table>
+  <thead><tr><th>Conformance level</th><th>Criteria</th></tr></thead>
+  <tbody>${summaryRows}</tbody>
+</table>
+
+<h2>${escapeHtml(conformance.standard)} Success Criteria</h2>
+<table>
+  <thead><tr><th>Criteria</th><th>Conformance Level</th><th>Remarks and Explanations</th></tr></thead>
+  <tbody>${criteriaRows}</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+function renderConformanceCsv(conformance) {
+  const header = ['criterion', 'name', 'level', 'conformance', 'remarks', 'violation_count', 'rules', 'pages_affected'];
+  const rows = conformance.criteria.map(c => [
+    c.id, c.name, c.level, c.conformance, c.remarks, c.violation_count,
+    c.rules.join(' '), c.pages_affected.join(' '),
+  ]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  buildReport,
+  renderHtml,
+  renderCsv,
+  renderConformanceHtml,
+  renderConformanceCsv,
+  escapeHtml,
+  csvCell,
+};
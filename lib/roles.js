@@ -0,0 +1,67 @@
+// What each role on a customer account may do
+// Every member can see the account's dashboards and reports. Changes need a role that
+// includes the permission; handlers call requirePermission before making them.
+//
+//   owner    everything, including billing and making other owners
+//   admin    the team, websites and settings; not billing
+//   editor   runs scans and triages violations
+//   viewer   read-only
+
+const { ForbiddenError } = require('./errors');
+
+// Most to least access
+const ROLES = ['owner', 'admin', 'editor', 'viewer'];
+
+const PERMISSIONS = {
+  manage_billing: ['owner'],
+  manage_team: ['owner', 'admin'],
+  manage_websites: ['owner', 'admin'],
+  manage_settings: ['owner', 'admin'],
+  run_scans: ['owner', 'admin', 'editor'],
+  triage_violations: ['owner', 'admin', 'editor'],
+};
+
+// What is being refused, for error messages
+const PERMISSION_LABELS = {
+  manage_billing: 'manage billing',
+  manage_team: 'manage the team',
+  manage_websites: 'add or remove websites',
+  manage_settings: 'change settings',
+  run_scans: 'run scans',
+  triage_violations: 'change violations',
+};
+
+function isRole(role) {
+  return ROLES.includes(role);
+}
+
+function can(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+function permissionsFor(role) {
+  return Object.keys(PERMISSIONS).filter(permission => can(role, permission));
+}
+
+// Throws ForbiddenError unless `role` includes `permission`
+function requirePermission(role, permission) {
+  if (!can(role, permission)) {
+    throw new ForbiddenError(`Your role (${role}) can't ${PERMISSION_LABELS[permission] || permission} on this account`);
+  }
+}
+
+// Whether a member with `actorRole` may give someone `role`, or change or remove a
+// member who has it. Only owners deal with owners.
+function canManageRole(actorRole, role) {
+  return can(actorRole, 'manage_team') && (role !== 'owner' || actorRole === 'owner');
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  isRole,
+  can,
+  permissionsFor,
+  requirePermission,
+  canManageRole,
+};
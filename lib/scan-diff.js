@@ -0,0 +1,91 @@
+// Compare two scans of the same customer
+// Violations are matched the same way lifecycle tracking matches them (rule_id,
+// page_url, element_selector), so "added" here is what the dashboard calls new or
+// regressed and "removed" is what it calls fixed. Callers pass each scan's summary and
+// violations as the dashboard shows them (lib/scan-view.js), with false positives and
+// suppressed violations already left out.
+
+const { violationKey } = require('./lifecycle');
+
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+function delta(from, to) {
+  const before = Number(from) || 0;
+  const after = Number(to) || 0;
+  return { from: before, to: after, delta: after - before };
+}
+
+// [{ page_url, rules: [{ rule_id, impact, description, count, elements }] }]
+function groupByPageAndRule(violations) {
+  const pages = new Map();
+
+  violations.forEach(violation => {
+    const pageUrl = violation.page_url || '';
+    if (!pages.has(pageUrl)) pages.set(pageUrl, new Map());
+    const rules = pages.get(pageUrl);
+
+    if (!rules.has(violation.rule_id)) {
+      rules.set(violation.rule_id, {
+        rule_id: violation.rule_id,
+        impact: violation.impact,
+        description: violation.description,
+        count: 0,
+        elements: [],
+      });
+    }
+    const rule = rules.get(violation.rule_id);
+    rule.count++;
+    rule.elements.push(violation.element_selector);
+  });
+
+  return Array.from(pages, ([pageUrl, rules]) => ({
+    page_url: pageUrl,
+    rules: Array.from(rules.values()),
+  })).sort((a, b) => a.page_url.localeCompare(b.page_url));
+}
+
+function pageList(scan) {
+  return Array.isArray(scan.scanned_page_urls) ? scan.scanned_page_urls : [];
+}
+
+function diffScans(fromScan, toScan, fromViolations, toViolations) {
+  const fromKeys = new Set(fromViolations.map(violationKey));
+  const toKeys = new Set(toViolations.map(violationKey));
+
+  const added = toViolations.filter(violation => !fromKeys.has(violationKey(violation)));
+  const removed = fromViolations.filter(violation => !toKeys.has(violationKey(violation)));
+
+  const impacts = {};
+  IMPACTS.forEach(impact => {
+    impacts[impact] = delta(fromScan[`${impact}_count`], toScan[`${impact}_count`]);
+  });
+
+  const fromPages = pageList(fromScan);
+  const toPages = pageList(toScan);
+
+  return {
+    from: { scan_id: fromScan.scan_id, scan_date: fromScan.scan_date, website_url: fromScan.website_url },
+    to: { scan_id: toScan.scan_id, scan_date: toScan.scan_date, website_url: toScan.website_url },
+    score: delta(fromScan.compliance_score, toScan.compliance_score),
+    total_violations: delta(fromScan.total_violations, toScan.total_violations),
+    impacts,
+    violations: {
+      added_count: added.length,
+      removed_count: removed.length,
+      unchanged_count: toViolations.length - added.length,
+      added: groupByPageAndRule(added),
+      removed: groupByPageAndRule(removed),
+    },
+    pages: {
+      added: toPages.filter(url => !fromPages.includes(url)),
+      removed: fromPages.filter(url => !toPages.includes(url)),
+      unchanged: toPages.filter(url => fromPages.includes(url)),
+    },
+  };
+}
+
+module.exports = {
+  IMPACTS,
+  diffScans,
+  groupByPageAndRule,
+};
@@ -0,0 +1,76 @@
+// Scan progress snapshot for the dashboards' progress bar
+// Small enough to send every few seconds: per-site state and pages crawled, without
+// any violations. Sites take the state of their latest on-demand request while it is
+// queued or running; otherwise they are complete once they have results and pending
+// until their first scan lands.
+// Once the dashboard has watched for WATCH_MAX_MS, sites still queued or running are
+// reported as stale and the snapshot is done, so a stuck scan_status can't keep the
+// dashboard polling forever.
+
+const { isActive } = require('./scan-queue');
+
+// Customer scan_status values meaning a scan is under way; the last three are what the
+// scanner wrote before the Scan Queue existed
+const IN_PROGRESS_STATUSES = ['queued', 'running', 'in_progress', 'pending', 'scanning'];
+
+// The Scan Queue stops counting a request as active after two hours too
+const WATCH_MAX_MS = 2 * 60 * 60 * 1000;
+
+function siteProgress(websiteUrl, { scans, requests, customerStatus }) {
+  const latestScan = scans.find(scan => scan.website_url === websiteUrl) || null;
+  const latestRequest = requests.find(request => request.website_url === websiteUrl) || null;
+  const inProgress = Boolean(latestRequest && isActive(latestRequest));
+
+  let status;
+  if (inProgress) {
+    status = latestRequest.status;
+  } else if (customerStatus) {
+    status = customerStatus === 'queued' ? 'queued' : 'running';
+  } else if (latestRequest && latestRequest.status === 'failed' &&
+      (!latestScan || new Date(latestRequest.requested_at) > new Date(latestScan.scan_date))) {
+    status = 'failed';
+  } else {
+    status = latestScan ? 'complete' : 'pending';
+  }
+
+  return {
+    website_url: websiteUrl,
+    status,
+    request_id: latestRequest ? latestRequest.request_id : null,
+    pages_scanned: inProgress ? latestRequest.pages_scanned ?? null : null,
+    pages_total: inProgress ? latestRequest.pages_total ?? null : null,
+    latest_scan_id: latestScan ? latestScan.scan_id : null,
+    latest_scan_date: latestScan ? latestScan.scan_date : null,
+  };
+}
+
+// customer: the Customers row; scans and requests: the customer's, latest first.
+// timedOut: the dashboard has been watching for WATCH_MAX_MS.
+function buildScanProgress(customer, websites, scans, requests, { timedOut = false } = {}) {
+  // A single-site customer's scan_status is what the dashboard overlay goes by, so it
+  // wins even when the scanner writes it straight to the Customers sheet
+  const scanStatus = String(customer.scan_status ?? '').toLowerCase();
+  const customerStatus = websites.length === 1 && IN_PROGRESS_STATUSES.includes(scanStatus) ? scanStatus : null;
+
+  const sites = websites.map(url => siteProgress(url, { scans, requests, customerStatus }));
+  if (timedOut) {
+    sites.forEach(site => {
+      if (site.status === 'queued' || site.status === 'running') site.status = 'stale';
+    });
+  }
+  const completed = sites.filter(site => site.status === 'complete' || site.status === 'failed').length;
+
+  return {
+    scan_status: customer.scan_status || null,
+    sites,
+    completed,
+    total: sites.length,
+    done: timedOut || completed === sites.length,
+    timed_out: timedOut,
+  };
+}
+
+module.exports = {
+  WATCH_MAX_MS,
+  buildScanProgress,
+};
@@ -0,0 +1,111 @@
+// On-demand scan requests: plan limits, rate limits and request states
+// Each request is a row in the Scan Queue sheet that moves queued -> running ->
+// complete | failed. The customer's scan_status mirrors their latest request so the
+// dashboard overlay keeps working; Professional sites each have their own request.
+
+const SCAN_STATES = ['queued', 'running', 'complete', 'failed'];
+const ACTIVE_STATES = ['queued', 'running'];
+
+const { entitlementsFor } = require('./entitlements');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_MS = 30 * DAY_MS;
+
+// A request the scanner never reported back on stops blocking new ones after this long
+const STALE_AFTER_MS = 2 * 60 * 60 * 1000;
+
+function requestTime(request) {
+  return new Date(request.started_at || request.requested_at).getTime();
+}
+
+function isActive(request, now = Date.now()) {
+  return ACTIVE_STATES.includes(request.status) && now - requestTime(request) < STALE_AFTER_MS;
+}
+
+// Requests in the last `windowMs` that count against the plan limits, oldest first.
+// A request that failed before the scanner started it doesn't count.
+function recentRequests(requests, now = Date.now(), windowMs = DAY_MS) {
+  return requests
+    .filter(r => now - new Date(r.requested_at).getTime() < windowMs)
+    .filter(r => !(r.status === 'failed' && !r.started_at))
+    .sort((a, b) => new Date(a.requested_at) - new Date(b.requested_at));
+}
+
+// On-demand scans the plan allows in a rolling day and a rolling 30 days (see
+// lib/entitlements.js), or null if it has none; guest scans are bought one at a time
+function scanLimits(plan) {
+  const { on_demand_scans_per_day: perDay, on_demand_scans_per_month: perMonth } = entitlementsFor(plan);
+  return perDay > 0 && perMonth > 0 ? { perDay, perMonth } : null;
+}
+
+// { per_day, used, remaining, per_month, used_this_month, remaining_this_month } for
+// the plan, or null if it has no on-demand scans
+function scanUsage(plan, requests, now = Date.now()) {
+  const limit = scanLimits(plan);
+  if (!limit) return null;
+  const used = recentRequests(requests, now).length;
+  const usedThisMonth = recentRequests(requests, now, MONTH_MS).length;
+  return {
+    per_day: limit.perDay,
+    used,
+    remaining: Math.max(0, limit.perDay - used),
+    per_month: limit.perMonth,
+    used_this_month: usedThisMonth,
+    remaining_this_month: Math.max(0, limit.perMonth - usedThisMonth),
+  };
+}
+
+// Decide whether a customer may queue a scan of websiteUrl now.
+// requests: the customer's Scan Queue rows. Returns { allowed: true } or
+// { allowed: false, status, error, retry_after? } ready to send.
+function checkScanAllowed(plan, requests, websiteUrl, now = Date.now()) {
+  const limit = scanLimits(plan);
+  if (!limit) {
+    return { allowed: false, status: 403, error: 'Your plan does not include on-demand scans' };
+  }
+
+  if (requests.some(r => r.website_url === websiteUrl && isActive(r, now))) {
+    return { allowed: false, status: 409, error: 'A scan of this website is already queued or running' };
+  }
+
+  // Checked against each window in turn; retry once the oldest counted request drops out
+  const windows = [
+    { max: limit.perDay, ms: DAY_MS, label: 'per 24 hours' },
+    { max: limit.perMonth, ms: MONTH_MS, label: 'per 30 days' },
+  ];
+  for (const window of windows) {
+    const recent = recentRequests(requests, now, window.ms);
+    if (recent.length >= window.max) {
+      const oldest = new Date(recent[recent.length - window.max].requested_at).getTime();
+      return {
+        allowed: false,
+        status: 429,
+        error: `Scan limit reached: ${window.max} scans ${window.label} on your plan`,
+        retry_after: Math.max(1, Math.ceil((oldest + window.ms - now) / 1000)),
+      };
+    }
+  }
+
+  return { allowed: true };
+}
+
+// Latest request per website, for showing scan state next to each site
+function latestByWebsite(requests) {
+  const latest = {};
+  requests.forEach(request => {
+    const current = latest[request.website_url];
+    if (!current || new Date(request.requested_at) > new Date(current.requested_at)) {
+      latest[request.website_url] = request;
+    }
+  });
+  return latest;
+}
+
+module.exports = {
+  SCAN_STATES,
+  ACTIVE_STATES,
+  isActive,
+  scanUsage,
+  checkScanAllowed,
+  latestByWebsite,
+};
@@ -0,0 +1,37 @@
+// What the dashboards show for one website's scan
+// Runs a scan's violations through remediation statuses, suppression rules and
+// lifecycle tracking, and adjusts the summary counts to match.
+
+const { trackLifecycle } = require('./lifecycle');
+const { applyRemediation, excludeFalsePositives } = require('./remediation');
+const { applySuppressions, excludeSuppressed } = require('./suppressions');
+
+function sameScan(violation, scan) {
+  return String(violation.scan_id ?? '').trim() === String(scan.scan_id ?? '').trim();
+}
+
+// scans: one website's scans, latest first, ending with the scan being viewed at [0]
+// violations: violations for those scans
+// suppressions: active suppression rules for the website
+function buildScanView(scans, violations, suppressions = []) {
+  const scan = scans[0];
+  const { kept, suppressed } = applySuppressions(applyRemediation(scans, violations), suppressions);
+  const lifecycle = trackLifecycle(scans, kept);
+  const suppressedInScan = scan ? suppressed.filter(v => sameScan(v, scan)) : [];
+
+  return {
+    // Counts leave out false positives and suppressed violations; the score is the
+    // scanner's own and still reflects them
+    summary: scan
+      ? excludeSuppressed(excludeFalsePositives(scan, lifecycle.violations), suppressedInScan)
+      : null,
+    violations: lifecycle.violations,
+    fixed: lifecycle.fixed,
+    lifecycle: lifecycle.summary,
+    suppressed: suppressedInScan,
+  };
+}
+
+module.exports = {
+  buildScanView,
+};
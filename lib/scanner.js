@@ -0,0 +1,76 @@
+// Scanner backend, behind a pluggable transport
+// SCANNER=stub only logs the job, which is what you want in local development, where it
+// is the default; move it along by calling PATCH /api/scans the way the real scanner
+// would. Anywhere else the stub is refused: scans would sit queued, blocking the site
+// and using up the plan's quota, without ever running.
+// SCANNER=webhook POSTs the job as JSON to SCANNER_WEBHOOK_URL, e.g. the n8n workflow
+// that runs the scan. The scanner reports progress back to PATCH /api/scans.
+
+const { isDevelopment } = require('./env');
+const { AuthError } = require('./errors');
+
+function createStubScanner() {
+  return {
+    name: 'stub',
+    async requestScan(job) {
+      console.log('[SCANNER] Scan requested:', JSON.stringify(job));
+      return { accepted: true };
+    },
+  };
+}
+
+function createWebhookScanner(url = process.env.SCANNER_WEBHOOK_URL) {
+  if (!url) {
+    throw new Error('SCANNER_WEBHOOK_URL is required when SCANNER=webhook');
+  }
+
+  return {
+    name: 'webhook',
+    async requestScan(job) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(job),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Scanner webhook responded ${response.status}`);
+      }
+      return { accepted: true };
+    },
+  };
+}
+
+let scanner = null;
+
+function getScanner() {
+  if (!scanner) {
+    const backend = process.env.SCANNER || (isDevelopment() ? 'stub' : '');
+    if (backend === 'webhook') {
+      scanner = createWebhookScanner();
+    } else if (backend === 'stub' && isDevelopment()) {
+      scanner = createStubScanner();
+    } else {
+      console.error(`SCANNER is ${backend ? `"${backend}"` : 'not set'}; set SCANNER=webhook${isDevelopment() ? ' or SCANNER=stub' : ''}`);
+      throw new AuthError('Server configuration error', 'server_config', 500);
+    }
+  }
+  return scanner;
+}
+
+// Tests and scripts can swap the scanner, e.g. to capture jobs
+function setScanner(customScanner) {
+  scanner = customScanner;
+}
+
+function requestScan(job) {
+  return getScanner().requestScan(job);
+}
+
+module.exports = {
+  requestScan,
+  getScanner,
+  setScanner,
+  createStubScanner,
+  createWebhookScanner,
+};
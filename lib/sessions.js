@@ -0,0 +1,42 @@
+// Issuing and revoking dashboard sessions
+// A session is a signed JWT for one user on one customer account that expires after
+// SESSION_TTL_SECONDS. The live token is stored in the user's session_token column;
+// lib/auth.js rejects any other. Each user has one live session, so signing in again
+// (on another device, or to another account) ends the previous one.
+
+const { signJWT } = require('./jwt');
+const { getJwtSecret } = require('./auth');
+
+// All logins time out after 1 hour regardless of plan (see session-timeout-fix.md)
+const SESSION_TTL_SECONDS = 60 * 60;
+
+async function issueSession(store, user, membership, customer) {
+  const secret = await getJwtSecret(store);
+  const now = Math.floor(Date.now() / 1000);
+  const expiresAt = now + SESSION_TTL_SECONDS;
+
+  const token = signJWT({
+    user_id: user.user_id,
+    customer_id: customer.customer_id,
+    email: user.email,
+    role: membership.role,
+    plan: customer.plan,
+    iat: now,
+    exp: expiresAt,
+  }, secret);
+
+  // Storing the new token replaces (and so revokes) any earlier session
+  await store.users.update(user.user_id, { session_token: token });
+
+  return { session: token, expires_at: expiresAt };
+}
+
+function revokeSession(store, userId) {
+  return store.users.update(userId, { session_token: '' });
+}
+
+module.exports = {
+  SESSION_TTL_SECONDS,
+  issueSession,
+  revokeSession,
+};
@@ -0,0 +1,176 @@
+// Read-through cache for the data store
+// Every handler used to read whole sheets on each request, which is slow and eats into
+// the Sheets API read quota. Reads are now cached per sheet for a short TTL, and
+// per-customer lookups (a customer's scans, suppressions, ...) on top of that.
+// Entries are tagged with the sheets they came from; any write through the store
+// drops everything tagged with that sheet, so this instance never serves its own stale
+// writes. Writes made elsewhere (the scanner, n8n, another instance) show up once the
+// TTL runs out. Sheets with a TTL of 0 are never cached.
+//
+// STORE_CACHE=off disables caching; STORE_CACHE=on enables it for the JSON backend,
+// which is uncached by default so hand edits to the data file show up immediately.
+
+// Seconds a whole-sheet read stays fresh
+const SHEET_TTLS = {
+  Config: 600,
+  // Every request checks its session token against these, and a login, refresh, logout
+  // or team change on another instance must take effect at once
+  Customers: 0,
+  Users: 0,
+  Memberships: 0,
+  Subscriptions: 60,
+  'Scan Summary': 60,
+  Violations: 60,
+  'Violation Audit': 30,
+  Suppressions: 30,
+  'Scan Queue': 5,
+  'Website Settings': 60,
+  // Read on every webhook delivery to spot repeats; another instance may have just written it
+  'Stripe Events': 0,
+  'Notification Settings': 60,
+  // Retries pick up rows another instance has just written
+  'Notification Deliveries': 0,
+};
+const DEFAULT_SHEET_TTL = 30;
+
+// Seconds a per-customer lookup stays fresh
+const CUSTOMER_TTL = 15;
+
+// Records are plain objects; hand out copies so a caller changing one can't change the cache
+function copyRecords(records) {
+  return records.map(record => ({ ...record }));
+}
+
+function copyValue(value) {
+  if (Array.isArray(value)) return copyRecords(value);
+  if (value && typeof value === 'object') return { ...value };
+  return value;
+}
+
+function createCache({ now = () => Date.now() } = {}) {
+  const entries = new Map();
+  const pending = new Map();
+
+  function fresh(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expires <= now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  function set(key, value, ttlSeconds, tags = []) {
+    entries.set(key, { value, tags, expires: now() + ttlSeconds * 1000 });
+  }
+
+  return {
+    has: key => Boolean(fresh(key)),
+
+    get(key) {
+      const entry = fresh(key);
+      return entry ? copyValue(entry.value) : undefined;
+    },
+
+    set,
+
+    // Cached value for key, loading it once on a miss; concurrent misses share one load
+    async wrap(key, ttlSeconds, tags, load) {
+      const entry = fresh(key);
+      if (entry) return copyValue(entry.value);
+
+      if (!pending.has(key)) {
+        pending.set(key, Promise.resolve()
+          .then(load)
+          .then(value => {
+            set(key, value, ttlSeconds, tags);
+            return value;
+          })
+          .finally(() => pending.delete(key)));
+      }
+      return copyValue(await pending.get(key));
+    },
+
+    // Drop every entry tagged with this tag (a sheet name)
+    invalidate(tag) {
+      for (const [key, entry] of entries) {
+        if (entry.tags.includes(tag)) entries.delete(key);
+      }
+    },
+
+    clear() {
+      entries.clear();
+    },
+  };
+}
+
+function sheetKey(table) {
+  return `sheet:${table.sheet}`;
+}
+
+function sheetTtl(table) {
+  return SHEET_TTLS[table.sheet] ?? DEFAULT_SHEET_TTL;
+}
+
+// Wrap a backend so table reads come from the cache and writes invalidate it.
+// readTables fetches every stale sheet in a single batch read when the backend can.
+function createCachedBackend(backend, cache = createCache()) {
+  async function readTables(tables) {
+    const missing = tables.filter(table => !cache.has(sheetKey(table)));
+
+    if (missing.length > 0) {
+      const results = backend.readTables
+        ? await backend.readTables(missing)
+        : await Promise.all(missing.map(table => backend.readTable(table)));
+      missing.forEach((table, index) => {
+        cache.set(sheetKey(table), results[index], sheetTtl(table), [table.sheet]);
+      });
+    }
+
+    return tables.map(table => cache.get(sheetKey(table)));
+  }
+
+  return {
+    name: backend.name,
+    cache,
+
+    readTable(table) {
+      return cache.wrap(sheetKey(table), sheetTtl(table), [table.sheet], () => backend.readTable(table));
+    },
+
+    readTables,
+
+    async updateRecord(table, match, fields, options) {
+      try {
+        return await backend.updateRecord(table, match, fields, options);
+      } finally {
+        cache.invalidate(table.sheet);
+      }
+    },
+
+    async appendRecord(table, record) {
+      try {
+        return await backend.appendRecord(table, record);
+      } finally {
+        cache.invalidate(table.sheet);
+      }
+    },
+  };
+}
+
+function cacheEnabled(backendName) {
+  const setting = String(process.env.STORE_CACHE || '').toLowerCase();
+  if (setting === 'off') return false;
+  if (setting === 'on') return true;
+  return backendName !== 'json';
+}
+
+module.exports = {
+  SHEET_TTLS,
+  CUSTOMER_TTL,
+  sheetTtl,
+  createCache,
+  createCachedBackend,
+  cacheEnabled,
+};
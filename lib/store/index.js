@@ -0,0 +1,274 @@
+// Data store used by every API handler
+// Wraps a backend (Google Sheets or a local JSON file) in typed accessors so the
+// handlers work with named fields instead of raw row arrays.
+//
+// Select the backend with DATA_STORE=sheets (default) or DATA_STORE=json.
+// Reads are cached unless STORE_CACHE=off; see ./cache.js.
+
+const { TABLES } = require('./schema');
+const { createSheetsBackend, matches } = require('./sheets');
+const { createJsonBackend } = require('./json');
+const { CUSTOMER_TTL, sheetTtl, createCachedBackend, cacheEnabled } = require('./cache');
+
+function sameId(a, b) {
+  return String(a ?? '').trim() === String(b ?? '').trim();
+}
+
+function byScanDateDesc(a, b) {
+  return new Date(b.scan_date) - new Date(a.scan_date);
+}
+
+// Generic accessors shared by every table
+function createTable(backend, table) {
+  return {
+    list: () => backend.readTable(table),
+
+    async find(match) {
+      const records = await backend.readTable(table);
+      return records.filter(record => matches(record, match));
+    },
+
+    async findOne(match) {
+      const records = await backend.readTable(table);
+      return records.find(record => matches(record, match)) || null;
+    },
+
+    get(key) {
+      return this.findOne({ [table.key]: key });
+    },
+
+    // options.expect: { field: value } the record must still hold, else ConflictError
+    update(key, fields, options) {
+      return backend.updateRecord(table, { [table.key]: key }, fields, options);
+    },
+
+    append: record => backend.appendRecord(table, record),
+  };
+}
+
+function createStore(backend) {
+  // Per-customer lookups are memoised on top of the sheet cache when there is one;
+  // they are tagged with their sheet so writes to it drop them too. Sheets that are
+  // never cached aren't memoised either.
+  const cache = backend.cache || null;
+  function perCustomer(table, name, customerId, load) {
+    if (!cache || sheetTtl(table) === 0) return load();
+    const key = `customer:${String(customerId ?? '').trim()}:${name}`;
+    return cache.wrap(key, CUSTOMER_TTL, [table.sheet], load);
+  }
+
+  const customers = createTable(backend, TABLES.customers);
+  const users = createTable(backend, TABLES.users);
+  const memberships = createTable(backend, TABLES.memberships);
+  const invitations = createTable(backend, TABLES.invitations);
+  const subscriptions = createTable(backend, TABLES.subscriptions);
+  const scans = createTable(backend, TABLES.scans);
+  const violations = createTable(backend, TABLES.violations);
+  const violationAudit = createTable(backend, TABLES.violationAudit);
+  const suppressions = createTable(backend, TABLES.suppressions);
+  const scanQueue = createTable(backend, TABLES.scanQueue);
+  const websiteSettings = createTable(backend, TABLES.websiteSettings);
+  const stripeEvents = createTable(backend, TABLES.stripeEvents);
+  const notificationSettings = createTable(backend, TABLES.notificationSettings);
+  const notificationDeliveries = createTable(backend, TABLES.notificationDeliveries);
+  const config = createTable(backend, TABLES.config);
+
+  // Current members, longest-standing first; removed rows are kept in the sheet
+  function activeMembers(customerId) {
+    return perCustomer(TABLES.memberships, 'memberships', customerId, async () =>
+      (await memberships.find({ customer_id: customerId }))
+        .filter(membership => !membership.removed_at)
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    );
+  }
+
+  return {
+    backend: backend.name,
+    cached: Boolean(cache),
+
+    // Load several tables in one read (a single batchGet on Sheets) so the lookups a
+    // handler makes next are served from the cache. No-op when caching is off.
+    async prefetch(names) {
+      if (!cache || !backend.readTables) return;
+      await backend.readTables(names.map(name => TABLES[name]));
+    },
+
+    customers: {
+      ...customers,
+
+      // Emails are compared case-insensitively; people don't type them the way they signed up
+      async findByEmail(email) {
+        const wanted = String(email ?? '').trim().toLowerCase();
+        const records = await customers.list();
+        return records.find(customer => String(customer.email ?? '').trim().toLowerCase() === wanted) || null;
+      },
+    },
+
+    users: {
+      ...users,
+
+      async findByEmail(email) {
+        const wanted = String(email ?? '').trim().toLowerCase();
+        const records = await users.list();
+        return records.find(user => String(user.email ?? '').trim().toLowerCase() === wanted) || null;
+      },
+    },
+
+    memberships: {
+      ...memberships,
+
+      listForCustomer: activeMembers,
+
+      // Accounts a user belongs to, oldest membership first
+      async listForUser(userId) {
+        return (await memberships.find({ user_id: userId }))
+          .filter(membership => !membership.removed_at)
+          .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+      },
+
+      async getActive(customerId, userId) {
+        const members = await activeMembers(customerId);
+        return members.find(membership => sameId(membership.user_id, userId)) || null;
+      },
+    },
+
+    invitations: {
+      ...invitations,
+      listForCustomer: customerId => invitations.find({ customer_id: customerId }),
+    },
+
+    subscriptions: {
+      ...subscriptions,
+      getForCustomer: customerId => perCustomer(TABLES.subscriptions, 'subscription', customerId,
+        () => subscriptions.findOne({ customer_id: customerId })),
+    },
+
+    scans: {
+      ...scans,
+
+      // Latest scan first; optionally narrowed to one website (Professional accounts)
+      async listForCustomer(customerId, { websiteUrl } = {}) {
+        const records = await perCustomer(TABLES.scans, 'scans', customerId, async () =>
+          (await scans.list())
+            .filter(scan => sameId(scan.customer_id, customerId))
+            .sort(byScanDateDesc)
+        );
+        return records.filter(scan => !websiteUrl || scan.website_url === websiteUrl);
+      },
+
+      // A scan only if it belongs to this customer; other customers' scans read as missing
+      async getForCustomer(scanId, customerId) {
+        const scan = await scans.get(scanId);
+        return scan && sameId(scan.customer_id, customerId) ? scan : null;
+      },
+    },
+
+    violations: {
+      ...violations,
+
+      async listForScan(scanId) {
+        const records = await violations.list();
+        return records.filter(violation => sameId(violation.scan_id, scanId));
+      },
+
+      async listForScans(scanIds) {
+        const wanted = new Set(scanIds.map(id => String(id ?? '').trim()));
+        const records = await violations.list();
+        return records.filter(violation => wanted.has(String(violation.scan_id ?? '').trim()));
+      },
+    },
+
+    violationAudit: {
+      ...violationAudit,
+
+      // Oldest change first
+      async listForViolation(violationId) {
+        const records = await violationAudit.list();
+        return records
+          .filter(entry => sameId(entry.violation_id, violationId))
+          .sort((a, b) => new Date(a.changed_at) - new Date(b.changed_at));
+      },
+    },
+
+    suppressions: {
+      ...suppressions,
+      listForCustomer: customerId => perCustomer(TABLES.suppressions, 'suppressions', customerId,
+        () => suppressions.find({ customer_id: customerId })),
+    },
+
+    scanQueue: {
+      ...scanQueue,
+
+      // Latest request first; optionally narrowed to one website
+      async listForCustomer(customerId, { websiteUrl } = {}) {
+        const records = await perCustomer(TABLES.scanQueue, 'scan-requests', customerId, async () =>
+          (await scanQueue.find({ customer_id: customerId }))
+            .sort((a, b) => new Date(b.requested_at) - new Date(a.requested_at))
+        );
+        return records.filter(request => !websiteUrl || request.website_url === websiteUrl);
+      },
+    },
+
+    websiteSettings: {
+      ...websiteSettings,
+      listForCustomer: customerId => perCustomer(TABLES.websiteSettings, 'website-settings', customerId,
+        () => websiteSettings.find({ customer_id: customerId })),
+      getForWebsite: (customerId, websiteUrl) =>
+        websiteSettings.findOne({ customer_id: customerId, website_url: websiteUrl }),
+    },
+
+    stripeEvents: {
+      ...stripeEvents,
+      listForObject: objectId => stripeEvents.find({ object_id: objectId }),
+    },
+
+    notificationSettings: {
+      ...notificationSettings,
+      getForCustomer: customerId => perCustomer(TABLES.notificationSettings, 'notification-settings', customerId,
+        () => notificationSettings.get(customerId)),
+    },
+
+    notificationDeliveries: {
+      ...notificationDeliveries,
+
+      // Latest first
+      async listForCustomer(customerId) {
+        return (await notificationDeliveries.find({ customer_id: customerId }))
+          .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+      },
+
+      // Pending deliveries whose next attempt is due, oldest first
+      async listDue(now = new Date()) {
+        return (await notificationDeliveries.find({ status: 'pending' }))
+          .filter(delivery => !delivery.next_attempt_at || new Date(delivery.next_attempt_at) <= now)
+          .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+      },
+    },
+
+    config: {
+      async get(key) {
+        const entry = await config.findOne({ key });
+        return entry && entry.value ? entry.value : null;
+      },
+    },
+  };
+}
+
+let store = null;
+
+// Reuse one store per warm serverless instance
+function getStore() {
+  if (!store) {
+    const backend = process.env.DATA_STORE === 'json'
+      ? createJsonBackend()
+      : createSheetsBackend();
+    store = createStore(cacheEnabled(backend.name) ? createCachedBackend(backend) : backend);
+  }
+  return store;
+}
+
+module.exports = {
+  getStore,
+  createStore,
+  createTable,
+};
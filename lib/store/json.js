@@ -0,0 +1,95 @@
+// Local JSON file backend for the data store
+// Lets the whole dashboard run offline. The file holds one array of records per
+// sheet name, e.g. { "Customers": [{ "customer_id": "CUST001", ... }], ... }.
+// A missing file is seeded from data/sample-store.json on first use.
+
+const fs = require('fs');
+const path = require('path');
+const { coerceValue, serializeValue, findColumn } = require('./schema');
+const { matches } = require('./sheets');
+const { RecordNotFoundError, ConflictError } = require('../errors');
+
+const SAMPLE_FILE = path.join(__dirname, '..', '..', 'data', 'sample-store.json');
+
+function createJsonBackend(options = {}) {
+  const file = options.file || process.env.DATA_FILE || path.join(process.cwd(), 'data', 'local-store.json');
+
+  function load() {
+    if (!fs.existsSync(file)) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.copyFileSync(SAMPLE_FILE, file);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  function save(data) {
+    // Write to a temp file first so a crash never leaves half a JSON document behind
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tempFile, file);
+  }
+
+  function toRecord(table, stored) {
+    const record = {};
+    table.columns.forEach(column => {
+      record[column.name] = coerceValue(column, stored[column.name]);
+    });
+    return record;
+  }
+
+  async function readTable(table) {
+    const data = load();
+    return (data[table.sheet] || []).map(stored => toRecord(table, stored));
+  }
+
+  async function readTables(tables) {
+    const data = load();
+    return tables.map(table => (data[table.sheet] || []).map(stored => toRecord(table, stored)));
+  }
+
+  async function updateRecord(table, match, fields, options = {}) {
+    const data = load();
+    const rows = data[table.sheet] || [];
+    const target = rows.find(stored => matches(toRecord(table, stored), match));
+
+    if (!target) {
+      throw new RecordNotFoundError(table.sheet, match);
+    }
+    if (options.expect && !matches(toRecord(table, target), options.expect)) {
+      throw new ConflictError(`${table.sheet} record ${JSON.stringify(match)} changed since it was read`);
+    }
+
+    Object.keys(fields).forEach(name => {
+      const column = findColumn(table, name);
+      target[name] = serializeValue(column, fields[name]);
+    });
+
+    save(data);
+    return toRecord(table, target);
+  }
+
+  async function appendRecord(table, record) {
+    const data = load();
+    const stored = {};
+    table.columns.forEach(column => {
+      stored[column.name] = serializeValue(column, record[column.name]);
+    });
+
+    data[table.sheet] = data[table.sheet] || [];
+    data[table.sheet].push(stored);
+    save(data);
+    return record;
+  }
+
+  return {
+    name: 'json',
+    readTable,
+    readTables,
+    updateRecord,
+    appendRecord,
+  };
+}
+
+module.exports = {
+  createJsonBackend,
+};
@@ -0,0 +1,400 @@
+// Sheet definitions for the ADA-Compliance-Master spreadsheet
+// Columns are resolved by reading each sheet's header row, so ops can reorder
+// or add columns without a code change. A missing required column fails with a
+// SchemaMismatchError instead of silently reading the wrong cell. Columns marked
+// optional may be absent; they read as undefined. Types drive how raw cell
+// values are coerced into records and written back.
+
+const { SchemaMismatchError } = require('../errors');
+
+const TABLES = {
+  customers: {
+    sheet: 'Customers',
+    key: 'customer_id',
+    columns: [
+      { name: 'customer_id' },
+      { name: 'name', optional: true },
+      { name: 'surname', optional: true },
+      { name: 'email' },
+      { name: 'company_name' },
+      { name: 'website_url' },          // comma-separated for Professional
+      { name: 'plan' },
+      { name: 'scan_frequency', optional: true },
+      { name: 'created_date', optional: true },
+      { name: 'last_scan_date', optional: true },
+      { name: 'current_score', optional: true },
+      { name: 'status' },
+      { name: 'pages_to_scan', optional: true },
+      { name: 'token' },
+      // Logins before team accounts; copied to the owner's Users row on first sign-in
+      { name: 'password_hash', optional: true },
+      { name: 'session_token', optional: true },
+      { name: 'reset_token', optional: true },
+      { name: 'reset_token_expires', optional: true },
+      { name: 'scan_status' },
+      { name: 'stripe_id', optional: true },
+    ],
+  },
+
+  subscriptions: {
+    sheet: 'Subscriptions',
+    key: 'customer_id',
+    columns: [
+      { name: 'customer_id' },
+      { name: 'payment_gateway_customer_id', optional: true },
+      { name: 'subscription_id', optional: true },
+      { name: 'plan' },
+      { name: 'status' },
+      { name: 'current_period_start', optional: true },
+      { name: 'current_period_end' },
+      { name: 'mrr_amount', optional: true },
+      { name: 'created_date', optional: true },
+      { name: 'cancelled_date' },
+    ],
+  },
+
+  scans: {
+    sheet: 'Scan Summary',
+    key: 'scan_id',
+    columns: [
+      { name: 'scan_id' },
+      { name: 'customer_id' },
+      { name: 'company_name', optional: true },
+      { name: 'email', optional: true },
+      { name: 'website_url' },
+      { name: 'plan', optional: true },
+      { name: 'pages_scanned', type: 'int' },
+      { name: 'scanned_page_urls', type: 'urlList' },
+      { name: 'compliance_score', type: 'int' },
+      { name: 'total_violations', type: 'int' },
+      { name: 'critical_count', type: 'int' },
+      { name: 'serious_count', type: 'int' },
+      { name: 'moderate_count', type: 'int' },
+      { name: 'minor_count', type: 'int' },
+      { name: 'scan_date' },
+      { name: 'scan_duration_seconds', optional: true },
+      { name: 'status', optional: true },
+      { name: 'max_pages', type: 'int', optional: true },
+      { name: 'scanner_version', optional: true },
+      { name: 'success', optional: true },
+      { name: 'scan_method', optional: true },
+      { name: 'ai_analysis', optional: true },
+      { name: 'ai_level', optional: true },
+    ],
+  },
+
+  violations: {
+    sheet: 'Violations',
+    key: 'violation_id',
+    columns: [
+      { name: 'violation_id' },
+      { name: 'scan_id' },
+      { name: 'customer_id', optional: true },
+      { name: 'page_url' },
+      { name: 'rule_id' },
+      { name: 'impact' },
+      { name: 'description' },
+      { name: 'element_selector', optional: true },
+      { name: 'help_url', optional: true },
+      { name: 'fixed_status', optional: true },
+      { name: 'detected_date', optional: true },
+      { name: 'fixed_date', optional: true },
+      { name: 'ai_explanation', optional: true },
+      { name: 'status_reason', optional: true },   // why it was marked won't-fix / false positive
+      { name: 'assigned_to', optional: true },
+    ],
+  },
+
+  // One row per remediation status change, newest last
+  violationAudit: {
+    sheet: 'Violation Audit',
+    key: 'audit_id',
+    columns: [
+      { name: 'audit_id' },
+      { name: 'violation_id' },
+      { name: 'customer_id' },
+      { name: 'scan_id' },
+      { name: 'status' },
+      { name: 'previous_status' },
+      { name: 'reason', optional: true },
+      { name: 'assigned_to', optional: true },
+      { name: 'changed_by' },
+      { name: 'changed_at' },
+    ],
+  },
+
+  // Per-website ignore rules; blank match fields match anything
+  suppressions: {
+    sheet: 'Suppressions',
+    key: 'suppression_id',
+    columns: [
+      { name: 'suppression_id' },
+      { name: 'customer_id' },
+      { name: 'website_url' },
+      { name: 'rule_id', optional: true },
+      { name: 'selector_pattern', optional: true },
+      { name: 'page_pattern', optional: true },
+      { name: 'justification' },
+      { name: 'expires_at', optional: true },
+      { name: 'created_by', optional: true },
+      { name: 'created_at' },
+      { name: 'removed_at', optional: true },
+    ],
+  },
+
+  // On-demand scan requests and their progress (see lib/scan-queue.js)
+  scanQueue: {
+    sheet: 'Scan Queue',
+    key: 'request_id',
+    columns: [
+      { name: 'request_id' },
+      { name: 'customer_id' },
+      { name: 'website_url' },
+      { name: 'status' },                            // queued | running | complete | failed
+      { name: 'requested_by', optional: true },
+      { name: 'requested_at' },
+      { name: 'started_at', optional: true },
+      { name: 'completed_at', optional: true },
+      { name: 'pages_scanned', type: 'int', optional: true },   // progress reported by the scanner
+      { name: 'pages_total', type: 'int', optional: true },
+      { name: 'scan_id', optional: true },           // the Scan Summary row it produced
+      { name: 'error', optional: true },
+    ],
+  },
+
+  // Per-website overrides of the account's scan settings (see lib/website-settings.js)
+  websiteSettings: {
+    sheet: 'Website Settings',
+    key: 'setting_id',
+    columns: [
+      { name: 'setting_id' },
+      { name: 'customer_id' },
+      { name: 'website_url' },
+      { name: 'display_name' },
+      { name: 'pages_to_scan', type: 'int' },        // blank: the account's pages_to_scan
+      { name: 'scan_frequency' },                    // blank: the account's scan_frequency
+      { name: 'include_paths', type: 'list' },       // comma-separated path globs
+      { name: 'exclude_paths', type: 'list' },
+      { name: 'tags', type: 'list' },
+      { name: 'updated_by', optional: true },
+      { name: 'updated_at' },
+    ],
+  },
+
+  // People who sign in; what they can see comes from their Memberships (see lib/team.js)
+  users: {
+    sheet: 'Users',
+    key: 'user_id',
+    columns: [
+      { name: 'user_id' },
+      { name: 'email' },
+      { name: 'name', optional: true },
+      { name: 'password_hash' },
+      { name: 'session_token' },                     // the user's one live session
+      { name: 'reset_token', optional: true },
+      { name: 'reset_token_expires', optional: true },
+      { name: 'created_at' },
+    ],
+  },
+
+  // A user's role on a customer account (see lib/roles.js)
+  memberships: {
+    sheet: 'Memberships',
+    key: 'membership_id',
+    columns: [
+      { name: 'membership_id' },
+      { name: 'customer_id' },
+      { name: 'user_id' },
+      { name: 'role' },                              // owner | admin | editor | viewer
+      { name: 'created_at' },
+      { name: 'invited_by', optional: true },
+      { name: 'removed_at', optional: true },        // set instead of deleting the row
+    ],
+  },
+
+  invitations: {
+    sheet: 'Invitations',
+    key: 'invitation_id',
+    columns: [
+      { name: 'invitation_id' },
+      { name: 'customer_id' },
+      { name: 'email' },
+      { name: 'role' },
+      { name: 'token_hash' },                        // SHA-256 of the emailed token
+      { name: 'expires_at' },
+      { name: 'created_at' },
+      { name: 'invited_by', optional: true },
+      { name: 'accepted_at', optional: true },
+      { name: 'revoked_at', optional: true },
+    ],
+  },
+
+  // Stripe webhook events already handled, for idempotency (see lib/stripe-webhooks.js)
+  stripeEvents: {
+    sheet: 'Stripe Events',
+    key: 'event_id',
+    columns: [
+      { name: 'event_id' },
+      { name: 'type' },
+      { name: 'object_id' },                         // the Stripe subscription it was about
+      { name: 'event_created', type: 'int' },        // Stripe's unix timestamp
+      { name: 'result' },
+      { name: 'processed_at' },
+    ],
+  },
+
+  // Who gets told about finished scans, and how (see lib/notifications.js)
+  notificationSettings: {
+    sheet: 'Notification Settings',
+    key: 'customer_id',
+    columns: [
+      { name: 'customer_id' },
+      { name: 'notify_scan_complete', type: 'bool' },
+      { name: 'score_threshold', type: 'int' },      // 0: no score alerts
+      { name: 'notify_new_critical', type: 'bool' },
+      { name: 'email_recipients', type: 'list' },
+      { name: 'webhook_url' },
+      { name: 'webhook_secret' },                    // signs webhook deliveries
+      { name: 'updated_by', optional: true },
+      { name: 'updated_at' },
+    ],
+  },
+
+  // One row per notification per recipient, retried until delivered
+  // (see lib/notification-deliveries.js)
+  notificationDeliveries: {
+    sheet: 'Notification Deliveries',
+    key: 'delivery_id',
+    columns: [
+      { name: 'delivery_id' },
+      { name: 'customer_id' },
+      { name: 'event_id' },
+      { name: 'event_type' },
+      { name: 'channel' },                           // webhook | email
+      { name: 'target' },                            // webhook URL or email address
+      { name: 'status' },                            // pending | delivered | failed
+      { name: 'attempts', type: 'int' },
+      { name: 'response_status', optional: true },
+      { name: 'error', optional: true },
+      { name: 'next_attempt_at', optional: true },
+      { name: 'created_at' },
+      { name: 'delivered_at', optional: true },
+      { name: 'payload' },                           // the event as JSON, resent as-is
+    ],
+  },
+
+  // Config is a plain key/value list with no header row, so it stays positional
+  config: {
+    sheet: 'Config',
+    key: 'key',
+    headerless: true,
+    columns: [
+      { name: 'key' },    // Column A
+      { name: 'value' },  // Column B
+    ],
+  },
+};
+
+// Header cells are matched loosely: "Scan Date", "scan_date" and " SCAN_DATE " are the same column
+function normalizeHeader(header) {
+  return String(header ?? '').trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+// Map each known column name to its index in the sheet, using the header row
+function resolveColumns(table, headerRow) {
+  if (table.headerless) {
+    const positions = {};
+    table.columns.forEach((column, index) => {
+      positions[column.name] = index;
+    });
+    return positions;
+  }
+
+  const headers = (headerRow || []).map(normalizeHeader);
+  const positions = {};
+  const missing = [];
+
+  table.columns.forEach(column => {
+    const index = headers.indexOf(column.name);
+    if (index !== -1) {
+      positions[column.name] = index;
+    } else if (!column.optional) {
+      missing.push(column.name);
+    }
+  });
+
+  if (missing.length > 0) {
+    throw new SchemaMismatchError(table.sheet, missing);
+  }
+
+  return positions;
+}
+
+// Parse scanned_page_urls, which exists in two formats:
+// old format is a stringified array '["url1","url2"]', new format is 'url1,url2,url3'.
+// Other list columns use the comma format.
+function parseUrlList(raw) {
+  if (Array.isArray(raw)) return raw;
+  if (!raw) return [];
+
+  if (raw.startsWith('[') && raw.endsWith(']')) {
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      console.error('Failed to parse scanned_page_urls as JSON:', e);
+      return [];
+    }
+  }
+
+  return raw.split(',').map(url => url.trim()).filter(Boolean);
+}
+
+function coerceValue(column, raw) {
+  switch (column.type) {
+    case 'int':
+      return parseInt(raw) || 0;
+    case 'urlList':
+    case 'list':
+      return parseUrlList(raw);
+    case 'bool':
+      return ['true', 'yes', '1'].includes(String(raw ?? '').trim().toLowerCase());
+    default:
+      return raw;
+  }
+}
+
+function serializeValue(column, value) {
+  if (value === undefined || value === null) return '';
+  if ((column.type === 'urlList' || column.type === 'list') && Array.isArray(value)) return value.join(',');
+  if (column.type === 'bool') return value ? 'TRUE' : 'FALSE';
+  return value;
+}
+
+// Build a typed record from a values array, using positions from resolveColumns
+function rowToRecord(table, positions, row) {
+  const record = {};
+  table.columns.forEach(column => {
+    const index = positions[column.name];
+    record[column.name] = coerceValue(column, index === undefined ? undefined : row[index]);
+  });
+  return record;
+}
+
+function findColumn(table, name) {
+  const column = table.columns.find(candidate => candidate.name === name);
+  if (!column) {
+    throw new Error(`Unknown column "${name}" in ${table.sheet}`);
+  }
+  return column;
+}
+
+module.exports = {
+  TABLES,
+  normalizeHeader,
+  resolveColumns,
+  parseUrlList,
+  coerceValue,
+  serializeValue,
+  rowToRecord,
+  findColumn,
+};
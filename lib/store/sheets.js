@@ -0,0 +1,165 @@
+// Google Sheets backend for the data store
+// Reads whole sheets (several at once with batchGet), resolves columns from the header
+// row, and writes individual cells.
+
+const { google } = require('googleapis');
+const { resolveColumns, rowToRecord, serializeValue, findColumn } = require('./schema');
+const { RecordNotFoundError, SchemaMismatchError, ConflictError } = require('../errors');
+
+// Convert a zero-based column index into its sheet letter (0 -> A, 26 -> AA)
+function columnLetter(index) {
+  let letter = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
+
+// A1 notation needs quotes around sheet names with spaces ("Scan Summary")
+function sheetRef(table) {
+  return `'${table.sheet}'`;
+}
+
+function matches(record, match) {
+  return Object.keys(match).every(field =>
+    String(record[field] ?? '').trim() === String(match[field] ?? '').trim()
+  );
+}
+
+function createSheetsBackend(options = {}) {
+  const auth = new google.auth.GoogleAuth({
+    credentials: {
+      client_email: options.clientEmail || process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+      private_key: (options.privateKey || process.env.GOOGLE_PRIVATE_KEY)?.replace(/\\n/g, '\n'),
+    },
+    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+  });
+
+  const sheets = options.sheets || google.sheets({ version: 'v4', auth });
+  const spreadsheetId = options.spreadsheetId || process.env.GOOGLE_SHEET_ID;
+
+  // Column positions plus every data row with its 1-based sheet row number
+  function parseSheet(table, values) {
+    const rows = values || [];
+    const firstDataRow = table.headerless ? 0 : 1;
+    const headerRow = rows[0] || [];
+    const positions = resolveColumns(table, headerRow);
+
+    return {
+      positions,
+      width: Math.max(headerRow.length, ...Object.values(positions).map(index => index + 1)),
+      rows: rows.slice(firstDataRow).map((row, index) => ({
+        rowNumber: index + firstDataRow + 1,
+        record: rowToRecord(table, positions, row),
+      })),
+    };
+  }
+
+  async function readSheet(table) {
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: sheetRef(table),
+    });
+    return parseSheet(table, response.data.values);
+  }
+
+  // Writing a column the sheet doesn't have is a schema problem, not a silent no-op
+  function positionOf(table, positions, name) {
+    if (positions[name] === undefined) {
+      throw new SchemaMismatchError(table.sheet, [name]);
+    }
+    return positions[name];
+  }
+
+  async function readTable(table) {
+    const { rows } = await readSheet(table);
+    return rows.map(row => row.record);
+  }
+
+  // Several sheets in one API call; results are in the order of `tables`
+  async function readTables(tables) {
+    const response = await sheets.spreadsheets.values.batchGet({
+      spreadsheetId,
+      ranges: tables.map(sheetRef),
+    });
+
+    const valueRanges = response.data.valueRanges || [];
+    return tables.map((table, index) =>
+      parseSheet(table, valueRanges[index]?.values).rows.map(row => row.record)
+    );
+  }
+
+  // options.expect: field values the row must still hold, or ConflictError. Sheets has no
+  // conditional write, so the row is found and checked on a fresh read straight before
+  // the write; that leaves one round trip for another writer to get in between.
+  async function updateRecord(table, match, fields, options = {}) {
+    const { positions, rows } = await readSheet(table);
+    const target = rows.find(row => matches(row.record, match));
+
+    if (!target) {
+      throw new RecordNotFoundError(table.sheet, match);
+    }
+    if (options.expect && !matches(target.record, options.expect)) {
+      throw new ConflictError(`${table.sheet} record ${JSON.stringify(match)} changed since it was read`);
+    }
+
+    const data = Object.keys(fields).map(name => {
+      const column = findColumn(table, name);
+      const index = positionOf(table, positions, name);
+      return {
+        range: `${sheetRef(table)}!${columnLetter(index)}${target.rowNumber}`,
+        values: [[serializeValue(column, fields[name])]],
+      };
+    });
+
+    await sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      resource: {
+        data,
+        valueInputOption: 'RAW',
+      },
+    });
+
+    return { ...target.record, ...fields };
+  }
+
+  async function appendRecord(table, record) {
+    const { positions, width } = await readSheet(table);
+    const row = new Array(width).fill('');
+
+    table.columns.forEach(column => {
+      if (record[column.name] !== undefined) {
+        row[positionOf(table, positions, column.name)] = serializeValue(column, record[column.name]);
+      }
+    });
+
+    await sheets.spreadsheets.values.append({
+      spreadsheetId,
+      range: sheetRef(table),
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      resource: {
+        values: [row],
+      },
+    });
+
+    return record;
+  }
+
+  return {
+    name: 'sheets',
+    readTable,
+    readTables,
+    updateRecord,
+    appendRecord,
+  };
+}
+
+module.exports = {
+  createSheetsBackend,
+  columnLetter,
+  matches,
+};
@@ -0,0 +1,252 @@
+// Stripe webhook events -> Subscriptions and Customers rows
+// Stripe delivers events at least once and in no particular order, so:
+// - every event is recorded in the Stripe Events sheet once handled, and a repeat
+//   delivery of the same event_id is acknowledged without doing anything;
+// - an event older than one already handled for the same subscription is skipped, so
+//   a late `updated` can't undo a newer `deleted`. Stripe's `created` is in whole
+//   seconds, so within the same second a subscription's created < updated < deleted,
+//   and once it is deleted nothing else for it is applied (Stripe never revives one).
+// Events for Stripe customers we can't match to a Customers row yet are answered with
+// 409 and not recorded, so Stripe redelivers them once the row exists.
+
+const crypto = require('crypto');
+const { AuthError, ConflictError, RecordNotFoundError } = require('./errors');
+const { normalizeStripeSubscription, fromUnix } = require('./payments');
+const { subscriptionFields } = require('./billing');
+const { entitlementsFor } = require('./entitlements');
+
+// Stripe's default: reject signatures more than five minutes old (replay protection)
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const HANDLED_EVENTS = [
+  'customer.subscription.created',
+  'customer.subscription.updated',
+  'customer.subscription.deleted',
+  'invoice.paid',
+  'invoice.payment_failed',
+];
+
+// Lifecycle order of a subscription's events, for events created in the same second
+const SUBSCRIPTION_EVENT_ORDER = [
+  'customer.subscription.created',
+  'customer.subscription.updated',
+  'customer.subscription.deleted',
+];
+
+// Statuses in which the customer keeps their paid plan
+const PAYING_STATUSES = ['active', 'trialing', 'past_due'];
+
+// Check a Stripe-Signature header ("t=...,v1=...,v1=...") against the raw request body
+function verifyStripeSignature(payload, header, secret, { tolerance = SIGNATURE_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+  const parts = String(header ?? '').split(',').map(part => part.split('='));
+  const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+  if (!timestamp || signatures.length === 0) {
+    throw new AuthError('Missing or malformed Stripe-Signature header', 'invalid_signature', 400);
+  }
+
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`, 'utf8').digest('hex')
+  );
+  const valid = signatures.some(signature => {
+    const given = Buffer.from(signature);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+
+  if (!valid) {
+    throw new AuthError('Invalid Stripe signature', 'invalid_signature', 400);
+  }
+  if (Math.abs(now / 1000 - timestamp) > tolerance) {
+    throw new AuthError('Stripe signature timestamp is too old', 'invalid_signature', 400);
+  }
+}
+
+// Header value for a payload, as Stripe would send it; used by the replay script
+function signStripePayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`, 'utf8').digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// The subscription an event is about; invoices moved it under `parent` in newer API versions
+function eventSubscriptionId(event) {
+  const object = event.data?.object || {};
+  if (event.type.startsWith('customer.subscription.')) return object.id;
+  const subscription = object.subscription ?? object.parent?.subscription_details?.subscription;
+  return typeof subscription === 'object' ? subscription?.id : subscription || null;
+}
+
+// Monthly amount from the subscription's first item, falling back to the plan's list price
+function monthlyAmount(stripeSubscription, plan) {
+  const item = stripeSubscription.items?.data?.[0];
+  const price = item?.price;
+  if (price && Number.isFinite(price.unit_amount)) {
+    const perPeriod = (price.unit_amount / 100) * (item.quantity || 1);
+    const months = price.recurring?.interval === 'year' ? 12 : (price.recurring?.interval_count || 1);
+    return Math.round((perPeriod / months) * 100) / 100;
+  }
+  return plan ? entitlementsFor(plan).monthly_price : undefined;
+}
+
+// Subscriptions row and customer_id for an event's Stripe customer / subscription
+async function findSubscriber(store, stripeCustomerId, subscriptionId, metadata = {}) {
+  const row = (subscriptionId && await store.subscriptions.findOne({ subscription_id: subscriptionId })) ||
+    (stripeCustomerId && await store.subscriptions.findOne({ payment_gateway_customer_id: stripeCustomerId })) ||
+    null;
+  if (row) return { row, customerId: row.customer_id };
+
+  const customer = stripeCustomerId ? await store.customers.findOne({ stripe_id: stripeCustomerId }) : null;
+  const customerId = customer?.customer_id || metadata.customer_id || null;
+  return { row: null, customerId };
+}
+
+// Update the customer's Subscriptions row, or add one if they don't have one yet.
+// The update re-reads the sheet, so a row another instance just added is still found.
+async function upsertSubscription(store, customerId, fields) {
+  try {
+    return await store.subscriptions.update(customerId, fields);
+  } catch (error) {
+    if (!(error instanceof RecordNotFoundError)) throw error;
+    return store.subscriptions.append({
+      customer_id: customerId,
+      payment_gateway_customer_id: '',
+      subscription_id: '',
+      plan: '',
+      status: '',
+      current_period_start: '',
+      current_period_end: '',
+      mrr_amount: '',
+      created_date: new Date().toISOString().split('T')[0],
+      cancelled_date: '',
+      ...fields,
+    });
+  }
+}
+
+async function setCustomerPlan(store, customerId, plan) {
+  const customer = await store.customers.get(customerId);
+  if (customer && plan && customer.plan !== plan) {
+    await store.customers.update(customerId, { plan });
+  }
+}
+
+async function handleSubscriptionEvent(store, event) {
+  const object = event.data.object;
+  const { customerId } = await findSubscriber(store, object.customer, object.id, object.metadata);
+  if (!customerId) return 'unknown_customer';
+
+  const subscription = normalizeStripeSubscription(object);
+  const deleted = event.type === 'customer.subscription.deleted';
+  const fields = {
+    ...subscriptionFields(subscription),
+    subscription_id: object.id,
+    payment_gateway_customer_id: object.customer,
+  };
+  if (subscription.plan) fields.plan = subscription.plan;
+  const mrr = monthlyAmount(object, subscription.plan);
+  if (mrr !== undefined) fields.mrr_amount = mrr;
+  if (deleted) {
+    // Access has ended, not just been scheduled to
+    fields.status = 'cancelled';
+    fields.mrr_amount = 0;
+    fields.cancelled_date = fromUnix(object.ended_at || object.canceled_at) || fields.cancelled_date;
+  }
+
+  await upsertSubscription(store, customerId, fields);
+
+  if (deleted) {
+    await setCustomerPlan(store, customerId, 'free');
+  } else if (PAYING_STATUSES.includes(subscription.status)) {
+    await setCustomerPlan(store, customerId, subscription.plan);
+  }
+  return deleted ? 'subscription_ended' : 'subscription_synced';
+}
+
+async function handleInvoiceEvent(store, event) {
+  const invoice = event.data.object;
+  const subscriptionId = eventSubscriptionId(event);
+  if (!subscriptionId) return 'ignored';
+
+  const { row, customerId } = await findSubscriber(store, invoice.customer, subscriptionId);
+  if (!customerId) return 'unknown_customer';
+  if (!row) return 'no_subscription';
+
+  // A scheduled cancellation stays visible whatever happens to the last invoice
+  const cancelled = row.status === 'cancelled';
+
+  if (event.type === 'invoice.payment_failed') {
+    if (!cancelled) await store.subscriptions.update(customerId, { status: 'past_due' });
+    return 'payment_failed';
+  }
+
+  const period = invoice.lines?.data?.[0]?.period;
+  const fields = {};
+  if (!cancelled) fields.status = 'active';
+  if (period?.start) fields.current_period_start = fromUnix(period.start);
+  if (period?.end) fields.current_period_end = fromUnix(period.end);
+  if (Object.keys(fields).length > 0) {
+    await store.subscriptions.update(customerId, fields);
+  }
+  return 'invoice_paid';
+}
+
+// Whether an event handled earlier for the same subscription supersedes this one: it
+// ended the subscription, was created later, or comes later in the lifecycle within
+// the same second
+async function isStale(store, objectId, event) {
+  const handled = (await store.stripeEvents.listForObject(objectId))
+    .filter(entry => !['ignored', 'stale'].includes(entry.result));
+  const rank = type => SUBSCRIPTION_EVENT_ORDER.indexOf(type);
+
+  return handled.some(entry => {
+    if (entry.result === 'subscription_ended') return true;
+    const created = Number(entry.event_created);
+    if (created !== Number(event.created)) return created > Number(event.created);
+    return rank(event.type) >= 0 && rank(entry.type) > rank(event.type);
+  });
+}
+
+// Handle one verified event. Returns { duplicate } for repeats, otherwise the
+// result recorded in the Stripe Events sheet.
+async function processStripeEvent(store, event) {
+  if (await store.stripeEvents.get(event.id)) {
+    return { duplicate: true };
+  }
+
+  const objectId = eventSubscriptionId(event) || '';
+  let result;
+
+  if (!HANDLED_EVENTS.includes(event.type)) {
+    result = 'ignored';
+  } else if (objectId && await isStale(store, objectId, event)) {
+    result = 'stale';
+  } else if (event.type.startsWith('customer.subscription.')) {
+    result = await handleSubscriptionEvent(store, event);
+  } else {
+    result = await handleInvoiceEvent(store, event);
+  }
+
+  // Not recorded, so the redelivery is handled once the customer's row exists
+  if (result === 'unknown_customer') {
+    throw new ConflictError('No customer matches this event yet', 'unknown_customer');
+  }
+
+  // Recorded only once handled, so a failure leaves Stripe to retry the event
+  await store.stripeEvents.append({
+    event_id: event.id,
+    type: event.type,
+    object_id: objectId,
+    event_created: event.created,
+    result,
+    processed_at: new Date().toISOString(),
+  });
+
+  return { duplicate: false, result };
+}
+
+module.exports = {
+  HANDLED_EVENTS,
+  verifyStripeSignature,
+  signStripePayload,
+  processStripeEvent,
+};
@@ -0,0 +1,90 @@
+// Per-website suppression rules
+// A suppression hides violations we can't act on (third-party widgets, embeds) from
+// the dashboard. It matches on any combination of rule_id, a selector pattern and a
+// page URL pattern; blank fields match anything, and at least one must be set.
+// Patterns are globs where * matches any run of characters. Suppressed violations are
+// reported separately rather than dropped, so the dashboard can show what was ignored.
+
+const { subtractFromCounts } = require('./remediation');
+
+function globToRegExp(pattern) {
+  const escaped = String(pattern)
+    .trim()
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function isExpired(suppression, now = new Date()) {
+  if (!suppression.expires_at) return false;
+  const expires = new Date(suppression.expires_at);
+  return !Number.isNaN(expires.getTime()) && expires <= now;
+}
+
+function isActive(suppression, now = new Date()) {
+  return !suppression.removed_at && !isExpired(suppression, now);
+}
+
+// Active suppressions for one website
+function activeSuppressions(suppressions, websiteUrl, now = new Date()) {
+  return suppressions.filter(s => s.website_url === websiteUrl && isActive(s, now));
+}
+
+function matchesSuppression(suppression, violation) {
+  if (suppression.rule_id && String(suppression.rule_id).trim() !== String(violation.rule_id ?? '').trim()) {
+    return false;
+  }
+  if (suppression.selector_pattern && !globToRegExp(suppression.selector_pattern).test(violation.element_selector || '')) {
+    return false;
+  }
+  if (suppression.page_pattern && !globToRegExp(suppression.page_pattern).test(violation.page_url || '')) {
+    return false;
+  }
+  return true;
+}
+
+// Split violations into kept and suppressed; suppressed ones carry the suppression_id
+function applySuppressions(violations, suppressions) {
+  const kept = [];
+  const suppressed = [];
+
+  violations.forEach(violation => {
+    const match = suppressions.find(suppression => matchesSuppression(suppression, violation));
+    if (match) {
+      suppressed.push({ ...violation, suppression_id: match.suppression_id });
+    } else {
+      kept.push(violation);
+    }
+  });
+
+  return { kept, suppressed };
+}
+
+// Copy of a scan summary with suppressed violations taken out of its counts,
+// plus how many were suppressed per impact
+function excludeSuppressed(scan, suppressed) {
+  if (!scan) return scan;
+
+  const own = suppressed.filter(v => String(v.scan_id).trim() === String(scan.scan_id).trim());
+  const byImpact = {};
+  own.forEach(v => {
+    byImpact[v.impact] = (byImpact[v.impact] || 0) + 1;
+  });
+
+  return {
+    ...subtractFromCounts(scan, own),
+    suppressed_count: own.length,
+    suppressed_by_impact: byImpact,
+  };
+}
+
+module.exports = {
+  globToRegExp,
+  isExpired,
+  isActive,
+  activeSuppressions,
+  matchesSuppression,
+  applySuppressions,
+  excludeSuppressed,
+};
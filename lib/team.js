@@ -0,0 +1,276 @@
+// Team accounts: users, their memberships on customer accounts, and invitations
+// A user (Users sheet) signs in with their own email and password and holds one live
+// session. A membership (Memberships sheet) gives them a role on a customer account
+// (see lib/roles.js); one user can belong to several accounts.
+//
+// Accounts from before team accounts have their login on the Customers row. The first
+// time one is used (password login, access link or password reset link) it becomes a
+// Users row with an owner membership, keeping the same password. Only a successful
+// sign-in moves an account; asking for a reset link doesn't.
+//
+// Invitations are emailed links. Like password reset tokens, only the SHA-256 of the
+// token is stored.
+
+const crypto = require('crypto');
+const { ConflictError, ForbiddenError, ValidationError } = require('./errors');
+const { verifyPassword } = require('./passwords');
+const { isRole, canManageRole, ROLES } = require('./roles');
+
+const INVITATION_TTL_DAYS = 7;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function newId(prefix) {
+  return `${prefix}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function hashInvitationToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function sameEmail(a, b) {
+  return String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+}
+
+function createUser(store, { email, name = '', password_hash = '' }) {
+  return store.users.append({
+    user_id: newId('USR'),
+    email: String(email).trim(),
+    name,
+    password_hash,
+    session_token: '',
+    reset_token: '',
+    reset_token_expires: '',
+    created_at: new Date().toISOString(),
+  });
+}
+
+function addMember(store, customerId, userId, role, invitedBy = '') {
+  return store.memberships.append({
+    membership_id: newId('MEM'),
+    customer_id: customerId,
+    user_id: userId,
+    role,
+    created_at: new Date().toISOString(),
+    invited_by: invitedBy,
+    removed_at: '',
+  });
+}
+
+// Give a pre-team account its owner: `user` if given, else the user with the customer's
+// email, created from the Customers row's login if there is none. No-op once the
+// account has any membership.
+async function migrateLegacyAccount(store, customer, user = null) {
+  const rows = await store.memberships.find({ customer_id: customer.customer_id });
+  if (rows.length > 0) return;
+
+  const owner = user
+    || await store.users.findByEmail(customer.email)
+    || await createUser(store, {
+      email: customer.email,
+      name: [customer.name, customer.surname].filter(Boolean).join(' '),
+      password_hash: customer.password_hash || '',
+    });
+  await addMember(store, customer.customer_id, owner.user_id, 'owner');
+  console.log(`[INFO] Moved customer ${customer.customer_id} to team accounts (owner ${owner.user_id})`);
+}
+
+// Pre-team accounts whose contact email is this user's become theirs
+async function adoptLegacyAccounts(store, user) {
+  const customers = (await store.customers.list()).filter(customer => sameEmail(customer.email, user.email));
+  for (const customer of customers) {
+    await migrateLegacyAccount(store, customer, user);
+  }
+}
+
+// The user with this email and password, or null
+async function signInWithPassword(store, email, password) {
+  let user = await store.users.findByEmail(email);
+  if (user) {
+    if (!verifyPassword(password, user.password_hash)) return null;
+  } else {
+    const customer = await store.customers.findByEmail(email);
+    if (!customer || !verifyPassword(password, customer.password_hash)) return null;
+    await migrateLegacyAccount(store, customer);
+    user = await store.users.findByEmail(email);
+  }
+
+  await adoptLegacyAccounts(store, user);
+  return user;
+}
+
+// Where a password reset for `email` is stored: { user }, or { customer } for a
+// pre-team login that hasn't been moved yet (its Customers row holds the token). Anyone
+// can ask for a reset, so nothing is moved here. Resolves to null if neither exists.
+async function findResetAccount(store, email) {
+  const user = await store.users.findByEmail(email);
+  if (user) return { user };
+
+  const customer = await store.customers.findByEmail(email);
+  if (!customer) return null;
+  const memberships = await store.memberships.find({ customer_id: customer.customer_id });
+  return memberships.length === 0 ? { customer } : null;
+}
+
+// A reset link sent to a pre-team login was used, which proves the login: move the
+// account and clear the token. Resolves to the owner user.
+async function migrateForReset(store, customer) {
+  await migrateLegacyAccount(store, customer);
+  await store.customers.update(customer.customer_id, { reset_token: '', reset_token_expires: '' });
+  return store.users.findByEmail(customer.email);
+}
+
+// Emailed access links belong to the customer's contact; they sign in as that user
+// while they are still a member. Resolves to { user, membership } or null.
+async function findAccessLinkMember(store, customer) {
+  await migrateLegacyAccount(store, customer);
+  const user = await store.users.findByEmail(customer.email);
+  const membership = user && await store.memberships.getActive(customer.customer_id, user.user_id);
+  return membership ? { user, membership } : null;
+}
+
+// The membership a sign-in uses: the requested account, or the user's first one
+async function selectMembership(store, user, customerId = null) {
+  const memberships = await store.memberships.listForUser(user.user_id);
+  if (!customerId) return memberships[0] || null;
+  return memberships.find(m => String(m.customer_id).trim() === String(customerId).trim()) || null;
+}
+
+// The accounts a user can switch between, for the login response
+async function listAccounts(store, user) {
+  const memberships = await store.memberships.listForUser(user.user_id);
+  const accounts = [];
+  for (const membership of memberships) {
+    const customer = await store.customers.get(membership.customer_id);
+    if (customer) {
+      accounts.push({ customer_id: customer.customer_id, company_name: customer.company_name, role: membership.role });
+    }
+  }
+  return accounts;
+}
+
+// Current members with their user details
+async function listMembers(store, customerId) {
+  const memberships = await store.memberships.listForCustomer(customerId);
+  const members = [];
+  for (const membership of memberships) {
+    const user = await store.users.get(membership.user_id);
+    members.push({
+      user_id: membership.user_id,
+      email: user?.email || '',
+      name: user?.name || '',
+      role: membership.role,
+      joined_at: membership.created_at,
+      invited_by: membership.invited_by || '',
+    });
+  }
+  return members;
+}
+
+function invitationStatus(invitation, now = new Date()) {
+  if (invitation.accepted_at) return 'accepted';
+  if (invitation.revoked_at) return 'revoked';
+  const expires = new Date(invitation.expires_at);
+  return isNaN(expires.getTime()) || expires < now ? 'expired' : 'pending';
+}
+
+// An invitation as returned to the team, without its token hash
+function presentInvitation(invitation) {
+  const { token_hash, ...rest } = invitation;
+  return { ...rest, status: invitationStatus(invitation) };
+}
+
+function parseRole(value) {
+  const role = String(value ?? '').trim().toLowerCase();
+  if (!isRole(role)) {
+    throw new ValidationError(`role must be one of: ${ROLES.join(', ')}`);
+  }
+  return role;
+}
+
+// Throws unless a member with `actorRole` may give `role` to someone
+function requireCanAssign(actorRole, role) {
+  if (!canManageRole(actorRole, role)) {
+    throw new ForbiddenError(role === 'owner'
+      ? 'Only owners can make someone an owner'
+      : `Your role (${actorRole}) can't manage the team`);
+  }
+}
+
+// Invite `email` to the account with `role`. A pending invitation for the same email is
+// replaced. Resolves to { invitation, token }; the token is only ever in the email.
+async function createInvitation(store, customerId, { email, role }, invitedBy) {
+  const address = String(email ?? '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(address)) {
+    throw new ValidationError('A valid email is required');
+  }
+
+  const existingUser = await store.users.findByEmail(address);
+  if (existingUser && await store.memberships.getActive(customerId, existingUser.user_id)) {
+    throw new ConflictError(`${address} is already on this team`, 'already_member');
+  }
+
+  const now = new Date();
+  const earlier = (await store.invitations.listForCustomer(customerId))
+    .filter(invitation => sameEmail(invitation.email, address) && invitationStatus(invitation, now) === 'pending');
+  for (const invitation of earlier) {
+    await store.invitations.update(invitation.invitation_id, { revoked_at: now.toISOString() });
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitation = await store.invitations.append({
+    invitation_id: newId('INV'),
+    customer_id: customerId,
+    email: address,
+    role,
+    token_hash: hashInvitationToken(token),
+    expires_at: new Date(now.getTime() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    created_at: now.toISOString(),
+    invited_by: invitedBy,
+    accepted_at: '',
+    revoked_at: '',
+  });
+  return { invitation, token };
+}
+
+function findInvitation(store, token) {
+  return store.invitations.findOne({ token_hash: hashInvitationToken(token) });
+}
+
+// Throws unless the member `actor` may change `target` to `newRole`, or remove them
+// when `newRole` is null. An account always keeps at least one owner.
+function requireCanChangeMember(actor, target, newRole, members) {
+  const leaving = newRole === null && String(actor.user_id).trim() === String(target.user_id).trim();
+  if (!leaving) {
+    if (!canManageRole(actor.role, target.role)) {
+      throw new ForbiddenError(target.role === 'owner'
+        ? 'Only owners can change or remove an owner'
+        : `Your role (${actor.role}) can't manage the team`);
+    }
+    if (newRole) requireCanAssign(actor.role, newRole);
+  }
+
+  const owners = members.filter(member => member.role === 'owner');
+  if (target.role === 'owner' && newRole !== 'owner' && owners.length <= 1) {
+    throw new ConflictError('An account needs at least one owner', 'last_owner');
+  }
+}
+
+module.exports = {
+  INVITATION_TTL_DAYS,
+  createUser,
+  addMember,
+  signInWithPassword,
+  findResetAccount,
+  migrateForReset,
+  findAccessLinkMember,
+  selectMembership,
+  listAccounts,
+  listMembers,
+  invitationStatus,
+  presentInvitation,
+  parseRole,
+  requireCanAssign,
+  createInvitation,
+  findInvitation,
+  requireCanChangeMember,
+};
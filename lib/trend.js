@@ -0,0 +1,45 @@
+// Compliance trend over a site's recent scans
+// Same rule as the dashboard's trend colours: compare the average shortfall from 100
+// over the older and newer halves of the last 10 scans. A drop of more than 5% is
+// improving, a rise of more than 5% is worsening, anything else is stable. Fewer than
+// 10 scans isn't enough to call.
+
+const TREND_WINDOW = 10;
+const TREND_THRESHOLD = 5;
+
+const TREND_DIRECTIONS = ['improving', 'stable', 'worsening', 'insufficient_data'];
+
+function average(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// historical: [{ score }] oldest first. Returns { direction, change } where change is
+// the percentage change in shortfall, or null when it can't be computed.
+function calculateTrend(historical) {
+  if (!historical || historical.length < TREND_WINDOW) {
+    return { direction: 'insufficient_data', change: null };
+  }
+
+  const shortfalls = historical.slice(-TREND_WINDOW).map(scan => 100 - (Number(scan.score) || 0));
+  const half = TREND_WINDOW / 2;
+  const firstAvg = average(shortfalls.slice(0, half));
+  const secondAvg = average(shortfalls.slice(half));
+
+  // Perfect scores throughout the first half leave nothing to compare against
+  if (firstAvg === 0) {
+    return { direction: secondAvg > 0 ? 'worsening' : 'stable', change: null };
+  }
+
+  const change = ((secondAvg - firstAvg) / firstAvg) * 100;
+  let direction = 'stable';
+  if (change < -TREND_THRESHOLD) direction = 'improving';
+  else if (change > TREND_THRESHOLD) direction = 'worsening';
+
+  return { direction, change: Math.round(change * 10) / 10 };
+}
+
+module.exports = {
+  TREND_WINDOW,
+  TREND_DIRECTIONS,
+  calculateTrend,
+};
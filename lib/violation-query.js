@@ -0,0 +1,166 @@
+// Server-side search, filtering, grouping, sorting and pagination of violations
+// Shared by the data endpoints so large sites don't ship every violation to the
+// browser. Query parameters:
+//   impact, rule_id, page_url, fixed_status   exact filters (comma-separated for several)
+//   q                                         text search over description, rule and selector
+//   group_by=rule|page|impact                 adds group counts; items come out grouped
+//   sort=impact|rule|page|first_seen, order=asc|desc
+//   limit, cursor                             pagination; next_cursor continues the list
+// Without limit every matching violation is returned, as before.
+
+const { ValidationError } = require('./errors');
+
+const IMPACT_ORDER = { critical: 1, serious: 2, moderate: 3, minor: 4 };
+const GROUP_FIELDS = { rule: 'rule_id', page: 'page_url', impact: 'impact' };
+const SORTS = ['impact', 'rule', 'page', 'first_seen'];
+const MAX_LIMIT = 500;
+
+function listParam(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return String(value).split(',').map(part => part.trim()).filter(Boolean);
+}
+
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Number.isInteger(offset) && offset >= 0) return offset;
+  } catch (error) {
+    // fall through to the error below
+  }
+  throw new ValidationError('Invalid cursor', 'invalid_cursor');
+}
+
+function parseViolationQuery(query = {}) {
+  const groupBy = query.group_by || null;
+  if (groupBy && !GROUP_FIELDS[groupBy]) {
+    throw new ValidationError(`group_by must be one of: ${Object.keys(GROUP_FIELDS).join(', ')}`);
+  }
+
+  const sort = query.sort || 'impact';
+  if (!SORTS.includes(sort)) {
+    throw new ValidationError(`sort must be one of: ${SORTS.join(', ')}`);
+  }
+
+  const order = query.order || 'asc';
+  if (order !== 'asc' && order !== 'desc') {
+    throw new ValidationError('order must be asc or desc');
+  }
+
+  let limit = null;
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new ValidationError('limit must be a positive number');
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  return {
+    filters: {
+      impact: listParam(query.impact),
+      rule_id: listParam(query.rule_id),
+      page_url: listParam(query.page_url),
+      fixed_status: listParam(query.fixed_status),
+    },
+    search: String(query.q ?? '').trim().toLowerCase(),
+    groupBy,
+    sort,
+    order,
+    limit,
+    offset: query.cursor ? decodeCursor(query.cursor) : 0,
+  };
+}
+
+function matchesFilters(violation, { filters, search }) {
+  if (filters.impact && !filters.impact.includes(violation.impact)) return false;
+  if (filters.rule_id && !filters.rule_id.includes(violation.rule_id)) return false;
+  if (filters.page_url && !filters.page_url.includes(violation.page_url)) return false;
+  // fixed_status filters on the effective remediation status (see lib/remediation.js)
+  if (filters.fixed_status && !filters.fixed_status.includes(violation.status || 'open')) return false;
+
+  if (search) {
+    const haystack = [violation.description, violation.rule_id, violation.element_selector]
+      .map(value => String(value ?? '').toLowerCase())
+      .join(' ');
+    if (!haystack.includes(search)) return false;
+  }
+  return true;
+}
+
+function compareBy(sort) {
+  switch (sort) {
+    case 'rule':
+      return (a, b) => String(a.rule_id).localeCompare(String(b.rule_id));
+    case 'page':
+      return (a, b) => String(a.page_url).localeCompare(String(b.page_url));
+    case 'first_seen':
+      return (a, b) => new Date(a.first_seen || 0) - new Date(b.first_seen || 0);
+    case 'impact':
+    default:
+      return (a, b) => (IMPACT_ORDER[a.impact] || 5) - (IMPACT_ORDER[b.impact] || 5);
+  }
+}
+
+function groupKey(violation, groupBy) {
+  return String(violation[GROUP_FIELDS[groupBy]] ?? '');
+}
+
+function compareGroups(groupBy) {
+  return groupBy === 'impact'
+    ? (a, b) => (IMPACT_ORDER[a] || 5) - (IMPACT_ORDER[b] || 5)
+    : (a, b) => a.localeCompare(b);
+}
+
+// Apply a parsed query to a list of violations.
+// Returns { items, page: { total, returned, limit, next_cursor }, groups }
+function queryViolations(violations, options) {
+  const matching = violations.filter(violation => matchesFilters(violation, options));
+
+  const direction = options.order === 'desc' ? -1 : 1;
+  const compare = compareBy(options.sort);
+  const byGroup = options.groupBy ? compareGroups(options.groupBy) : null;
+
+  // Grouped results come out group by group so each page holds contiguous groups;
+  // violation_id breaks ties so pagination is stable
+  const sorted = matching.slice().sort((a, b) =>
+    (byGroup ? byGroup(groupKey(a, options.groupBy), groupKey(b, options.groupBy)) : 0) ||
+    direction * compare(a, b) ||
+    String(a.violation_id).localeCompare(String(b.violation_id))
+  );
+
+  const end = options.limit ? options.offset + options.limit : sorted.length;
+  const items = sorted.slice(options.offset, end);
+
+  let groups = null;
+  if (options.groupBy) {
+    const counts = new Map();
+    sorted.forEach(violation => {
+      const key = groupKey(violation, options.groupBy);
+      if (!counts.has(key)) counts.set(key, { key, count: 0, by_impact: {} });
+      const group = counts.get(key);
+      group.count++;
+      group.by_impact[violation.impact] = (group.by_impact[violation.impact] || 0) + 1;
+    });
+    groups = Array.from(counts.values());
+  }
+
+  return {
+    items,
+    page: {
+      total: sorted.length,
+      returned: items.length,
+      limit: options.limit,
+      next_cursor: end < sorted.length ? encodeCursor(end) : null,
+    },
+    groups,
+  };
+}
+
+module.exports = {
+  parseViolationQuery,
+  queryViolations,
+};
@@ -0,0 +1,298 @@
+// WCAG success criteria and the axe rules that test them
+// Used to turn a scan's rule_id violations into a VPAT 2.x style conformance table.
+// Automated scanning only covers part of WCAG: criteria no rule maps to are reported
+// as "Not Evaluated" and need manual review.
+
+const LEVELS = ['A', 'AA', 'AAA'];
+const VERSIONS = ['2.1', '2.2'];
+
+const CONFORMANCE = {
+  SUPPORTS: 'Supports',
+  PARTIALLY_SUPPORTS: 'Partially Supports',
+  DOES_NOT_SUPPORT: 'Does Not Support',
+  NOT_EVALUATED: 'Not Evaluated',
+};
+
+// [id, name, level, version introduced]
+const CRITERIA = [
+  ['1.1.1', 'Non-text Content', 'A', '2.0'],
+  ['1.2.1', 'Audio-only and Video-only (Prerecorded)', 'A', '2.0'],
+  ['1.2.2', 'Captions (Prerecorded)', 'A', '2.0'],
+  ['1.2.3', 'Audio Description or Media Alternative (Prerecorded)', 'A', '2.0'],
+  ['1.2.4', 'Captions (Live)', 'AA', '2.0'],
+  ['1.2.5', 'Audio Description (Prerecorded)', 'AA', '2.0'],
+  ['1.2.6', 'Sign Language (Prerecorded)', 'AAA', '2.0'],
+  ['1.2.7', 'Extended Audio Description (Prerecorded)', 'AAA', '2.0'],
+  ['1.2.8', 'Media Alternative (Prerecorded)', 'AAA', '2.0'],
+  ['1.2.9', 'Audio-only (Live)', 'AAA', '2.0'],
+  ['1.3.1', 'Info and Relationships', 'A', '2.0'],
+  ['1.3.2', 'Meaningful Sequence', 'A', '2.0'],
+  ['1.3.3', 'Sensory Characteristics', 'A', '2.0'],
+  ['1.3.4', 'Orientation', 'AA', '2.1'],
+  ['1.3.5', 'Identify Input Purpose', 'AA', '2.1'],
+  ['1.3.6', 'Identify Purpose', 'AAA', '2.1'],
+  ['1.4.1', 'Use of Color', 'A', '2.0'],
+  ['1.4.2', 'Audio Control', 'A', '2.0'],
+  ['1.4.3', 'Contrast (Minimum)', 'AA', '2.0'],
+  ['1.4.4', 'Resize Text', 'AA', '2.0'],
+  ['1.4.5', 'Images of Text', 'AA', '2.0'],
+  ['1.4.6', 'Contrast (Enhanced)', 'AAA', '2.0'],
+  ['1.4.7', 'Low or No Background Audio', 'AAA', '2.0'],
+  ['1.4.8', 'Visual Presentation', 'AAA', '2.0'],
+  ['1.4.9', 'Images of Text (No Exception)', 'AAA', '2.0'],
+  ['1.4.10', 'Reflow', 'AA', '2.1'],
+  ['1.4.11', 'Non-text Contrast', 'AA', '2.1'],
+  ['1.4.12', 'Text Spacing', 'AA', '2.1'],
+  ['1.4.13', 'Content on Hover or Focus', 'AA', '2.1'],
+  ['2.1.1', 'Keyboard', 'A', '2.0'],
+  ['2.1.2', 'No Keyboard Trap', 'A', '2.0'],
+  ['2.1.3', 'Keyboard (No Exception)', 'AAA', '2.0'],
+  ['2.1.4', 'Character Key Shortcuts', 'A', '2.1'],
+  ['2.2.1', 'Timing Adjustable', 'A', '2.0'],
+  ['2.2.2', 'Pause, Stop, Hide', 'A', '2.0'],
+  ['2.2.3', 'No Timing', 'AAA', '2.0'],
+  ['2.2.4', 'Interruptions', 'AAA', '2.0'],
+  ['2.2.5', 'Re-authenticating', 'AAA', '2.0'],
+  ['2.2.6', 'Timeouts', 'AAA', '2.1'],
+  ['2.3.1', 'Three Flashes or Below Threshold', 'A', '2.0'],
+  ['2.3.2', 'Three Flashes', 'AAA', '2.0'],
+  ['2.3.3', 'Animation from Interactions', 'AAA', '2.1'],
+  ['2.4.1', 'Bypass Blocks', 'A', '2.0'],
+  ['2.4.2', 'Page Titled', 'A', '2.0'],
+  ['2.4.3', 'Focus Order', 'A', '2.0'],
+  ['2.4.4', 'Link Purpose (In Context)', 'A', '2.0'],
+  ['2.4.5', 'Multiple Ways', 'AA', '2.0'],
+  ['2.4.6', 'Headings and Labels', 'AA', '2.0'],
+  ['2.4.7', 'Focus Visible', 'AA', '2.0'],
+  ['2.4.8', 'Location', 'AAA', '2.0'],
+  ['2.4.9', 'Link Purpose (Link Only)', 'AAA', '2.0'],
+  ['2.4.10', 'Section Headings', 'AAA', '2.0'],
+  ['2.4.11', 'Focus Not Obscured (Minimum)', 'AA', '2.2'],
+  ['2.4.12', 'Focus Not Obscured (Enhanced)', 'AAA', '2.2'],
+  ['2.4.13', 'Focus Appearance', 'AAA', '2.2'],
+  ['2.5.1', 'Pointer Gestures', 'A', '2.1'],
+  ['2.5.2', 'Pointer Cancellation', 'A', '2.1'],
+  ['2.5.3', 'Label in Name', 'A', '2.1'],
+  ['2.5.4', 'Motion Actuation', 'A', '2.1'],
+  ['2.5.5', 'Target Size (Enhanced)', 'AAA', '2.1'],
+  ['2.5.6', 'Concurrent Input Mechanisms', 'AAA', '2.1'],
+  ['2.5.7', 'Dragging Movements', 'AA', '2.2'],
+  ['2.5.8', 'Target Size (Minimum)', 'AA', '2.2'],
+  ['3.1.1', 'Language of Page', 'A', '2.0'],
+  ['3.1.2', 'Language of Parts', 'AA', '2.0'],
+  ['3.1.3', 'Unusual Words', 'AAA', '2.0'],
+  ['3.1.4', 'Abbreviations', 'AAA', '2.0'],
+  ['3.1.5', 'Reading Level', 'AAA', '2.0'],
+  ['3.1.6', 'Pronunciation', 'AAA', '2.0'],
+  ['3.2.1', 'On Focus', 'A', '2.0'],
+  ['3.2.2', 'On Input', 'A', '2.0'],
+  ['3.2.3', 'Consistent Navigation', 'AA', '2.0'],
+  ['3.2.4', 'Consistent Identification', 'AA', '2.0'],
+  ['3.2.5', 'Change on Request', 'AAA', '2.0'],
+  ['3.2.6', 'Consistent Help', 'A', '2.2'],
+  ['3.3.1', 'Error Identification', 'A', '2.0'],
+  ['3.3.2', 'Labels or Instructions', 'A', '2.0'],
+  ['3.3.3', 'Error Suggestion', 'AA', '2.0'],
+  ['3.3.4', 'Error Prevention (Legal, Financial, Data)', 'AA', '2.0'],
+  ['3.3.5', 'Help', 'AAA', '2.0'],
+  ['3.3.6', 'Error Prevention (All)', 'AAA', '2.0'],
+  ['3.3.7', 'Redundant Entry', 'A', '2.2'],
+  ['3.3.8', 'Accessible Authentication (Minimum)', 'AA', '2.2'],
+  ['3.3.9', 'Accessible Authentication (Enhanced)', 'AAA', '2.2'],
+  ['4.1.1', 'Parsing', 'A', '2.0', '2.2'], // obsolete and removed in WCAG 2.2
+  ['4.1.2', 'Name, Role, Value', 'A', '2.0'],
+  ['4.1.3', 'Status Messages', 'AA', '2.1'],
+].map(([id, name, level, version, removedIn]) => ({ id, name, level, version, removedIn }));
+
+// axe-core rule ID -> success criteria, following axe's wcagXXX tags.
+// Best-practice rules (region, heading-order, landmark-*, ...) have no criterion.
+const RULE_CRITERIA = {
+  'area-alt': ['1.1.1', '2.4.4', '4.1.2'],
+  'aria-allowed-attr': ['4.1.2'],
+  'aria-braille-equivalent': ['4.1.2'],
+  'aria-command-name': ['4.1.2'],
+  'aria-conditional-attr': ['4.1.2'],
+  'aria-deprecated-role': ['4.1.2'],
+  'aria-hidden-body': ['4.1.2'],
+  'aria-hidden-focus': ['4.1.2'],
+  'aria-input-field-name': ['4.1.2'],
+  'aria-meter-name': ['1.1.1'],
+  'aria-progressbar-name': ['1.1.1'],
+  'aria-prohibited-attr': ['4.1.2'],
+  'aria-required-attr': ['4.1.2'],
+  'aria-required-children': ['1.3.1'],
+  'aria-required-parent': ['1.3.1'],
+  'aria-roles': ['4.1.2'],
+  'aria-toggle-field-name': ['4.1.2'],
+  'aria-tooltip-name': ['4.1.2'],
+  'aria-valid-attr': ['4.1.2'],
+  'aria-valid-attr-value': ['4.1.2'],
+  'autocomplete-valid': ['1.3.5'],
+  'avoid-inline-spacing': ['1.4.12'],
+  'blink': ['2.2.2'],
+  'button-name': ['4.1.2'],
+  'bypass': ['2.4.1'],
+  'color-contrast': ['1.4.3'],
+  'color-contrast-enhanced': ['1.4.6'],
+  'css-orientation-lock': ['1.3.4'],
+  'definition-list': ['1.3.1'],
+  'dlitem': ['1.3.1'],
+  'document-title': ['2.4.2'],
+  'duplicate-id': ['4.1.1'],
+  'duplicate-id-active': ['4.1.1'],
+  'duplicate-id-aria': ['4.1.2'],
+  'form-field-multiple-labels': ['3.3.2'],
+  'frame-focusable-content': ['2.1.1'],
+  'frame-title': ['4.1.2'],
+  'frame-title-unique': ['4.1.2'],
+  'html-has-lang': ['3.1.1'],
+  'html-lang-valid': ['3.1.1'],
+  'html-xml-lang-mismatch': ['3.1.1'],
+  'identical-links-same-purpose': ['2.4.9'],
+  'image-alt': ['1.1.1'],
+  'input-button-name': ['4.1.2'],
+  'input-image-alt': ['1.1.1', '4.1.2'],
+  'label': ['4.1.2'],
+  'label-content-name-mismatch': ['2.5.3'],
+  'link-in-text-block': ['1.4.1'],
+  'link-name': ['2.4.4', '4.1.2'],
+  'list': ['1.3.1'],
+  'listitem': ['1.3.1'],
+  'marquee': ['2.2.2'],
+  'meta-refresh': ['2.2.1'],
+  'meta-refresh-no-exceptions': ['2.2.4', '3.2.5'],
+  'meta-viewport': ['1.4.4'],
+  'nested-interactive': ['4.1.2'],
+  'no-autoplay-audio': ['1.4.2'],
+  'object-alt': ['1.1.1'],
+  'p-as-heading': ['1.3.1'],
+  'role-img-alt': ['1.1.1'],
+  'scrollable-region-focusable': ['2.1.1', '2.1.3'],
+  'select-name': ['4.1.2'],
+  'server-side-image-map': ['2.1.1'],
+  'svg-img-alt': ['1.1.1'],
+  'table-fake-caption': ['1.3.1'],
+  'target-size': ['2.5.8'],
+  'td-has-header': ['1.3.1'],
+  'td-headers-attr': ['1.3.1'],
+  'th-has-data-cells': ['1.3.1'],
+  'valid-lang': ['3.1.2'],
+  'video-caption': ['1.2.2'],
+};
+
+// Criteria at least one scanner rule tests
+const EVALUATED_CRITERIA = new Set(Object.values(RULE_CRITERIA).flat());
+
+function criteriaForRule(ruleId) {
+  return RULE_CRITERIA[String(ruleId ?? '').trim()] || [];
+}
+
+function versionAtMost(version, target) {
+  return Number(version) <= Number(target);
+}
+
+// Criteria in scope for a conformance target, e.g. WCAG 2.2 level AA includes A and AA
+function criteriaFor({ version = '2.2', level = 'AA' } = {}) {
+  const maxLevel = LEVELS.indexOf(level);
+  return CRITERIA.filter(criterion =>
+    versionAtMost(criterion.version, version) &&
+    !(criterion.removedIn && versionAtMost(criterion.removedIn, version)) &&
+    LEVELS.indexOf(criterion.level) <= maxLevel
+  );
+}
+
+// A criterion "Does Not Support" when it fails on every scanned page or has a critical
+// failure; failures confined to some pages are "Partially Supports".
+function conformanceFor(failures, pagesScanned) {
+  if (failures.length === 0) return CONFORMANCE.SUPPORTS;
+
+  const pages = new Set(failures.map(v => v.page_url));
+  const critical = failures.some(v => v.impact === 'critical');
+  if (critical || (pagesScanned > 0 && pages.size >= pagesScanned)) {
+    return CONFORMANCE.DOES_NOT_SUPPORT;
+  }
+  return CONFORMANCE.PARTIALLY_SUPPORTS;
+}
+
+function remarksFor(status, failures, pagesScanned) {
+  if (status === CONFORMANCE.NOT_EVALUATED) {
+    return 'Not covered by automated testing; requires manual review.';
+  }
+  if (failures.length === 0) {
+    return 'No failures found by automated testing.';
+  }
+
+  const rules = [...new Set(failures.map(v => v.rule_id))].join(', ');
+  const pages = new Set(failures.map(v => v.page_url)).size;
+  const pageText = pagesScanned ? `${pages} of ${pagesScanned} pages` : `${pages} page(s)`;
+  return `${failures.length} failure(s) (${rules}) on ${pageText}.`;
+}
+
+// Build the conformance table for one scan's violations
+function buildConformance({ scan, violations, version = '2.2', level = 'AA' }) {
+  const pagesScanned = Number(scan.pages_scanned) ||
+    (Array.isArray(scan.scanned_page_urls) ? scan.scanned_page_urls.length : 0);
+
+  const failuresByCriterion = new Map();
+  let unmapped = 0;
+  violations.forEach(violation => {
+    const ids = criteriaForRule(violation.rule_id);
+    if (ids.length === 0) unmapped++;
+    ids.forEach(id => {
+      if (!failuresByCriterion.has(id)) failuresByCriterion.set(id, []);
+      failuresByCriterion.get(id).push(violation);
+    });
+  });
+
+  const summary = {
+    [CONFORMANCE.SUPPORTS]: 0,
+    [CONFORMANCE.PARTIALLY_SUPPORTS]: 0,
+    [CONFORMANCE.DOES_NOT_SUPPORT]: 0,
+    [CONFORMANCE.NOT_EVALUATED]: 0,
+  };
+
+  const criteria = criteriaFor({ version, level }).map(criterion => {
+    const failures = failuresByCriterion.get(criterion.id) || [];
+    const status = EVALUATED_CRITERIA.has(criterion.id)
+      ? conformanceFor(failures, pagesScanned)
+      : CONFORMANCE.NOT_EVALUATED;
+    summary[status]++;
+
+    return {
+      id: criterion.id,
+      name: criterion.name,
+      level: criterion.level,
+      version: criterion.version,
+      conformance: status,
+      remarks: remarksFor(status, failures, pagesScanned),
+      violation_count: failures.length,
+      rules: [...new Set(failures.map(v => v.rule_id))],
+      pages_affected: [...new Set(failures.map(v => v.page_url))],
+    };
+  });
+
+  return {
+    standard: `WCAG ${version}`,
+    wcag_version: version,
+    target_level: level,
+    scan_id: scan.scan_id,
+    scan_date: scan.scan_date,
+    website_url: scan.website_url,
+    pages_scanned: pagesScanned,
+    summary,
+    criteria,
+    // Violations of best-practice rules, which don't map to a success criterion
+    unmapped_violations: unmapped,
+  };
+}
+
+module.exports = {
+  LEVELS,
+  VERSIONS,
+  CONFORMANCE,
+  CRITERIA,
+  RULE_CRITERIA,
+  criteriaForRule,
+  criteriaFor,
+  buildConformance,
+};
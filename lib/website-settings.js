@@ -0,0 +1,148 @@
+// Per-website scan settings
+// Each website can override the account's pages_to_scan and scan_frequency and narrow
+// the crawl with include/exclude path patterns (globs on the URL path, * matches any
+// run of characters). It can also have a display name and tags. Sites without a
+// Website Settings row, or with blank fields, use the account's values.
+
+const { ValidationError } = require('./errors');
+const { entitlementsFor } = require('./entitlements');
+
+const SCAN_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const MAX_PATTERNS = 20;
+const MAX_TAGS = 10;
+const MAX_NAME_LENGTH = 80;
+const MAX_TAG_LENGTH = 40;
+
+// Fields a customer may change, in the order they are returned
+const SETTING_FIELDS = ['display_name', 'pages_to_scan', 'scan_frequency', 'include_paths', 'exclude_paths', 'tags'];
+
+// Pages per scan the account pays for: its pages_to_scan, within the plan's max_pages
+function accountPages(customer) {
+  const { max_pages: planPages } = entitlementsFor(customer.plan);
+  const pages = parseInt(customer.pages_to_scan, 10);
+  return pages > 0 ? Math.min(pages, planPages) : planPages;
+}
+
+// Effective settings for one website; `customized` says whether it has its own row.
+// A page count saved on a bigger plan is held to the current plan's allowance.
+function resolveSettings(customer, websiteUrl, record = null) {
+  const allowance = accountPages(customer);
+  return {
+    website_url: websiteUrl,
+    display_name: record?.display_name || '',
+    pages_to_scan: Math.min(record?.pages_to_scan || allowance, allowance),
+    scan_frequency: record?.scan_frequency || customer.scan_frequency || null,
+    include_paths: record?.include_paths || [],
+    exclude_paths: record?.exclude_paths || [],
+    tags: record?.tags || [],
+    customized: Boolean(record),
+    updated_at: record?.updated_at || null,
+  };
+}
+
+// Effective settings for each of the customer's websites, keyed by URL
+function settingsByWebsite(customer, websites, records) {
+  const settings = {};
+  websites.forEach(url => {
+    settings[url] = resolveSettings(customer, url, records.find(record => record.website_url === url));
+  });
+  return settings;
+}
+
+// Lists arrive as arrays or comma/newline separated strings
+function toList(value, field) {
+  if (value === null || value === '') return [];
+  if (Array.isArray(value)) return value.map(item => String(item ?? '').trim()).filter(Boolean);
+  if (typeof value === 'string') return value.split(/[,\n]/).map(item => item.trim()).filter(Boolean);
+  throw new ValidationError(`${field} must be a list`);
+}
+
+function parsePatterns(value, field) {
+  const patterns = toList(value, field);
+  if (patterns.length > MAX_PATTERNS) {
+    throw new ValidationError(`${field} can have at most ${MAX_PATTERNS} patterns`);
+  }
+  patterns.forEach(pattern => {
+    if (!pattern.startsWith('/')) {
+      throw new ValidationError(`${field} patterns are URL paths and must start with /: ${pattern}`);
+    }
+  });
+  return patterns;
+}
+
+// Validate the fields present in an update body; absent fields are left unchanged and
+// null or '' resets a field to the account default. Throws ValidationError.
+function parseSettingsUpdate(body, customer) {
+  const fields = {};
+
+  if (body.display_name !== undefined) {
+    const name = String(body.display_name ?? '').trim();
+    if (name.length > MAX_NAME_LENGTH) {
+      throw new ValidationError(`display_name can be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    fields.display_name = name;
+  }
+
+  if (body.pages_to_scan !== undefined) {
+    if (body.pages_to_scan === null || body.pages_to_scan === '') {
+      fields.pages_to_scan = '';
+    } else {
+      const pages = Number(body.pages_to_scan);
+      if (!Number.isInteger(pages) || pages < 1) {
+        throw new ValidationError('pages_to_scan must be a whole number of at least 1');
+      }
+      const allowance = accountPages(customer);
+      if (pages > allowance) {
+        throw new ValidationError(`pages_to_scan can be at most ${allowance} on your plan`);
+      }
+      fields.pages_to_scan = pages;
+    }
+  }
+
+  if (body.scan_frequency !== undefined) {
+    const frequency = String(body.scan_frequency ?? '').trim().toLowerCase();
+    if (frequency && !SCAN_FREQUENCIES.includes(frequency)) {
+      throw new ValidationError(`scan_frequency must be one of: ${SCAN_FREQUENCIES.join(', ')}`);
+    }
+    const { scan_frequencies: allowed } = entitlementsFor(customer.plan);
+    if (frequency && !allowed.includes(frequency)) {
+      throw new ValidationError(allowed.length > 0
+        ? `scan_frequency can be ${allowed.join(', ')} on your plan`
+        : 'Your plan does not include scheduled scans');
+    }
+    fields.scan_frequency = frequency;
+  }
+
+  if (body.include_paths !== undefined) {
+    fields.include_paths = parsePatterns(body.include_paths, 'include_paths');
+  }
+  if (body.exclude_paths !== undefined) {
+    fields.exclude_paths = parsePatterns(body.exclude_paths, 'exclude_paths');
+  }
+
+  if (body.tags !== undefined) {
+    const tags = [...new Set(toList(body.tags, 'tags'))];
+    if (tags.length > MAX_TAGS) {
+      throw new ValidationError(`A website can have at most ${MAX_TAGS} tags`);
+    }
+    if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      throw new ValidationError(`Tags can be at most ${MAX_TAG_LENGTH} characters`);
+    }
+    fields.tags = tags;
+  }
+
+  if (Object.keys(fields).length === 0) {
+    throw new ValidationError(`Nothing to update; send any of: ${SETTING_FIELDS.join(', ')}`);
+  }
+
+  return fields;
+}
+
+module.exports = {
+  SCAN_FREQUENCIES,
+  SETTING_FIELDS,
+  resolveSettings,
+  settingsByWebsite,
+  parseSettingsUpdate,
+};
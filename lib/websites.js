@@ -0,0 +1,62 @@
+// A customer's website list
+// The list lives comma-separated in the customer's website_url cell, so adding or
+// removing a site rewrites the whole cell. Writes are conditional on the cell still
+// holding what the change was based on; on a conflict the change is re-applied to the
+// latest list, so two tabs adding different sites both land.
+
+const { ConflictError } = require('./errors');
+
+const MAX_WEBSITES = 5;
+const MAX_ATTEMPTS = 3;
+
+function parseWebsites(value) {
+  return String(value ?? '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+}
+
+// change(websites) returns the new list, or { status, error } if it doesn't apply.
+// Returns { websites } once saved, or { status, error, websites? } ready to send; a 409
+// carries the current list so the client can show what is actually saved.
+async function updateWebsites(store, customer, change) {
+  const customerId = customer.customer_id;
+  let current = customer;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const before = current.website_url ?? '';
+    const websites = parseWebsites(before);
+    const result = change(websites.slice());
+
+    if (!Array.isArray(result)) {
+      // After a conflict the change was made against a list the client never saw
+      return attempt === 1
+        ? result
+        : { status: 409, error: `Your websites were changed elsewhere: ${result.error}`, websites };
+    }
+
+    try {
+      await store.customers.update(customerId, { website_url: result.join(',') }, {
+        expect: { customer_id: customerId, website_url: before },
+      });
+      return { websites: result };
+    } catch (error) {
+      if (!(error instanceof ConflictError)) throw error;
+      console.warn(`Website list for ${customerId} changed during update (attempt ${attempt})`);
+      current = await store.customers.get(customerId);
+      if (!current) throw error;
+    }
+  }
+
+  return {
+    status: 409,
+    error: 'Your websites are being changed elsewhere. Please reload and try again.',
+    websites: parseWebsites(current.website_url),
+  };
+}
+
+module.exports = {
+  MAX_WEBSITES,
+  parseWebsites,
+  updateWebsites,
+};